@@ -0,0 +1,68 @@
+const _ = require("lodash");
+const low = require("lowdb");
+const FileSync = require("lowdb/adapters/FileSync");
+const uuid = require("uuid");
+
+const { currentTime } = require("../clock");
+
+const adapter = new FileSync("ad-beacons.json", {
+  defaultValue: { beacons: [] },
+});
+const db = low(adapter);
+
+// Only the latest beacons are kept
+const MAX_BEACONS = 1000;
+
+const recordBeacon = async ({
+  event,
+  adId,
+  entryId,
+  position,
+  code,
+  userAgent,
+  now = currentTime(),
+}) => {
+  const beacon = _.omitBy(
+    {
+      id: uuid.v4(),
+      event,
+      adId,
+      entryId,
+      position,
+      code,
+      userAgent,
+      time: now.toMillis(),
+    },
+    _.isNil
+  );
+
+  db.read();
+  await db
+    .update("beacons", (beacons) =>
+      _.takeRight([...beacons, beacon], MAX_BEACONS)
+    )
+    .write();
+
+  return beacon;
+};
+
+// filters - { event, adId, entryId, position }
+const getBeacons = (filters) => {
+  db.read();
+  return db
+    .get("beacons")
+    .filter(
+      _.omitBy(
+        _.pick(filters, ["event", "adId", "entryId", "position"]),
+        _.isNil
+      )
+    )
+    .orderBy(["time"], ["desc"])
+    .value();
+};
+
+const clearBeacons = async () => {
+  await db.set("beacons", []).write();
+};
+
+module.exports = { recordBeacon, getBeacons, clearBeacons };
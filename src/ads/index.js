@@ -0,0 +1,383 @@
+const _ = require("lodash");
+const md5 = require("md5");
+
+const mockDb = require("../mock-db");
+const { ENTITLEMENT_TYPES } = require("../entitlements");
+const { absoluteReqBasePath, localStreamUrl } = require("../utils");
+const {
+  TRACKING_EVENTS,
+  renderVast,
+  renderEmptyVast,
+  renderVmap,
+} = require("./vast");
+const { recordBeacon, getBeacons, clearBeacons } = require("./beacons");
+
+const BEACON_EVENTS = ["impression", "click", "error", ...TRACKING_EVENTS];
+
+const MIDROLL_INTERVAL = 10 * 60; // seconds
+const DEFAULT_DURATION = 90 * 60; // movies have no duration
+const SSAI_AD_DURATION = 30;
+// ads are generated by the local streams, as "AD" segments
+const AD_SEGMENT_DURATION = 5;
+
+const AD_CREATIVES = [
+  {
+    id: "ad-creative-1",
+    title: "Pipes2 Cola - Summer",
+    advertiser: "Pipes2 Beverages",
+    duration: 15,
+  },
+  {
+    id: "ad-creative-2",
+    title: "Zapp Motors - Road Trip",
+    advertiser: "Zapp Motors",
+    duration: 30,
+    skipOffset: 5,
+  },
+  {
+    id: "ad-creative-3",
+    title: "Mock Airlines - Fly Away",
+    advertiser: "Mock Airlines",
+    duration: 20,
+  },
+].map((creative) => ({
+  ...creative,
+  clickThrough: "https://www.applicaster.com/",
+}));
+
+const buildUrl = (pathname, query) => {
+  const url = new URL(pathname, absoluteReqBasePath);
+  _.forEach(_.omitBy(query, _.isNil), (value, key) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
+
+// Only free (AVOD) content has ads
+const hasAds = (item) =>
+  _.get(item, "entitlement.type", ENTITLEMENT_TYPES.FREE) ===
+  ENTITLEMENT_TYPES.FREE;
+
+// A preroll, a midroll every 10 minutes & a postroll
+const getAdBreaks = (item) => {
+  if (!item || !hasAds(item)) return [];
+
+  const duration = item.durationInSeconds || DEFAULT_DURATION;
+
+  return [
+    { position: "preroll", offset: "start" },
+    ..._.range(MIDROLL_INTERVAL, duration, MIDROLL_INTERVAL).map(
+      (offset, index) => ({ position: `midroll-${index + 1}`, offset })
+    ),
+    { position: "postroll", offset: "end" },
+  ];
+};
+
+// The same entry & position always get the same creative
+const pickCreative = ({ entryId, position }) =>
+  AD_CREATIVES[
+    parseInt(md5(`${entryId}:${position}`).slice(0, 8), 16) %
+      AD_CREATIVES.length
+  ];
+
+const vastUrl = ({ entryId, position, version }) =>
+  buildUrl("ads/vast", { entryId, position, version });
+
+const renderAdExtensions = (item) => {
+  const adBreaks = getAdBreaks(item);
+  if (_.isEmpty(adBreaks)) return {};
+
+  return {
+    video_ads: adBreaks.map(({ position, offset }) => ({
+      offset: { start: "preroll", end: "postroll" }[offset] || offset,
+      ad_url: vastUrl({ entryId: item.id, position }),
+    })),
+    // the same content with the ad breaks stitched in the stream
+    ...(item.streamURL && {
+      ssai_src: localStreamUrl({
+        mode: "vod",
+        query: {
+          duration: item.durationInSeconds || DEFAULT_DURATION,
+          segmentDuration: AD_SEGMENT_DURATION,
+          adInterval: MIDROLL_INTERVAL,
+          adDuration: SSAI_AD_DURATION,
+        },
+      }),
+    }),
+  };
+};
+
+const adClipQuery = (ad) => ({
+  duration: ad.duration,
+  segmentDuration: AD_SEGMENT_DURATION,
+  // the whole clip is an ad break
+  adInterval: ad.duration + AD_SEGMENT_DURATION,
+  adDuration: ad.duration,
+});
+
+const sendXml = (res, xml) => {
+  res.setHeader("content-type", "application/xml");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Cache-Control", "no-cache");
+  res.send(xml);
+};
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /ads/vast:
+   *   get:
+   *     tags: [Ads]
+   *     description: A VAST response with one linear ad for an ad break of an entry
+   *       (the `extensions.video_ads` urls)
+   *
+   *     parameters:
+   *       - in: query
+   *         name: entryId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: position
+   *         description: preroll, midroll-<n> or postroll
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: adId
+   *         description: forces one of the creatives (ad-creative-1 to 3)
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: version
+   *         description: 3 or 4
+   *         schema:
+   *           type: number
+   *           default: 3
+   *       - in: query
+   *         name: noFill
+   *         description: set to true to get an empty VAST response
+   *         schema:
+   *           type: boolean
+   *
+   *     responses:
+   *       200:
+   *         description: VAST xml
+   *       404:
+   *         description: Unknown adId
+   */
+  app.get("/ads/vast", (req, res) => {
+    const {
+      entryId,
+      position = "preroll",
+      adId,
+      version = 3,
+      noFill,
+    } = req.query;
+
+    if (noFill === "true") {
+      return sendXml(res, renderEmptyVast(Number(version)));
+    }
+
+    const ad = adId
+      ? _.find(AD_CREATIVES, { id: adId })
+      : pickCreative({ entryId, position });
+
+    if (!ad) {
+      return res.status(404).json({ error: "Ad not found" });
+    }
+
+    const trackingUrl = (event) =>
+      buildUrl("ads/track", {
+        event,
+        adId: ad.id,
+        entryId,
+        position,
+        // replaced by the player
+        code: event === "error" ? "[ERRORCODE]" : undefined,
+      }).replace(encodeURIComponent("[ERRORCODE]"), "[ERRORCODE]");
+
+    sendXml(
+      res,
+      renderVast({
+        version: Number(version),
+        ad,
+        adServingId: md5(`${entryId}:${position}:${ad.id}`),
+        trackingUrl,
+        mediaFiles: [
+          {
+            src: localStreamUrl({ format: "mp4", query: adClipQuery(ad) }),
+            type: "video/mp4",
+            delivery: "progressive",
+            width: 320,
+            height: 180,
+            bitrate: 250,
+          },
+          {
+            src: localStreamUrl({ query: adClipQuery(ad) }),
+            type: "application/x-mpegURL",
+            delivery: "streaming",
+            width: 320,
+            height: 180,
+            bitrate: 250,
+          },
+        ],
+      })
+    );
+  });
+
+  /**
+   * @swagger
+   * /ads/vmap/{entryId}:
+   *   get:
+   *     tags: [Ads]
+   *     description: VMAP ad schedule of an entry - a preroll, a midroll every
+   *       10 minutes and a postroll for free content, no ads for paid content
+   *
+   *     parameters:
+   *       - in: path
+   *         name: entryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: version
+   *         description: VAST version of the ad tags, 3 or 4
+   *         schema:
+   *           type: number
+   *           default: 3
+   *
+   *     responses:
+   *       200:
+   *         description: VMAP xml
+   *       404:
+   *         description: Entry not found
+   */
+  app.get("/ads/vmap/:entryId", (req, res) => {
+    const { entryId } = req.params;
+    const version = Number(req.query.version) || 3;
+    const item = mockDb.getMediaById(entryId);
+
+    if (!item) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    sendXml(
+      res,
+      renderVmap({
+        version,
+        adBreaks: getAdBreaks(item).map(({ position, offset }) => ({
+          id: position,
+          offset,
+          vastUrl: vastUrl({ entryId, position, version }),
+        })),
+      })
+    );
+  });
+
+  /**
+   * @swagger
+   * /ads/track:
+   *   get:
+   *     tags: [Ads]
+   *     description: Collects the ad tracking beacons (impressions, quartiles, clicks & errors)
+   *       of the VAST responses
+   *
+   *     parameters:
+   *       - in: query
+   *         name: event
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: adId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: entryId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: position
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       204:
+   *         description: Beacon recorded
+   *       400:
+   *         description: Unknown event
+   */
+  app.get("/ads/track", async (req, res) => {
+    const { event, adId, entryId, position, code } = req.query;
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-cache");
+
+    if (!_.includes(BEACON_EVENTS, event)) {
+      return res.status(400).json({ error: "Unknown event" });
+    }
+
+    await recordBeacon({
+      event,
+      adId,
+      entryId,
+      position,
+      code,
+      userAgent: req.get("user-agent"),
+      now: req.now,
+    });
+    res.status(204).end();
+  });
+
+  /**
+   * @swagger
+   * /ads/beacons:
+   *   get:
+   *     tags: [Ads]
+   *     description: The recorded beacons, latest first - to verify what an ad plugin reported
+   *
+   *     parameters:
+   *       - in: query
+   *         name: event
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: adId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: entryId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: position
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       200:
+   *         description: "{ beacons: [{ event, adId, entryId, position, time }] }"
+   *   delete:
+   *     tags: [Ads]
+   *     description: Clears the recorded beacons
+   *
+   *     responses:
+   *       204:
+   *         description: Beacons cleared
+   */
+  app.get("/ads/beacons", (req, res) => {
+    res.setHeader("Cache-Control", "no-cache");
+    res.json({ beacons: getBeacons(req.query) });
+  });
+
+  app.delete("/ads/beacons", async (req, res) => {
+    await clearBeacons();
+    res.status(204).end();
+  });
+};
+
+module.exports = {
+  AD_CREATIVES,
+  getAdBreaks,
+  renderAdExtensions,
+  setup,
+};
@@ -0,0 +1,161 @@
+const _ = require("lodash");
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const cdata = (value) => `<![CDATA[${value}]]>`;
+
+// element("MediaFile", { type: "video/mp4" }, cdata(url))
+const element = (name, attributes = {}, ...children) => {
+  const renderedAttributes = _.map(
+    _.omitBy(attributes, _.isNil),
+    (value, key) => ` ${key}="${escapeXml(value)}"`
+  ).join("");
+  const content = _.compact(_.flattenDeep(children)).join("");
+
+  return content
+    ? `<${name}${renderedAttributes}>${content}</${name}>`
+    : `<${name}${renderedAttributes}/>`;
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const TRACKING_EVENTS = [
+  "start",
+  "firstQuartile",
+  "midpoint",
+  "thirdQuartile",
+  "complete",
+  "pause",
+  "resume",
+  "mute",
+  "unmute",
+  "skip",
+];
+
+const vastVersion = (version) => (version >= 4 ? "4.2" : "3.0");
+
+// 90 -> 00:01:30.000
+const formatTime = (seconds) =>
+  new Date(seconds * 1000).toISOString().slice(11, 23);
+
+/**
+ * A VAST 3 or 4 response with a single linear inline ad.
+ * trackingUrl(event) - url of the beacon recording the event
+ * mediaFiles - [{ src, type, width, height, bitrate, delivery }]
+ */
+const renderVast = ({ version, ad, adServingId, mediaFiles, trackingUrl }) => {
+  const isVast4 = version >= 4;
+
+  return (
+    XML_DECLARATION +
+    element(
+      "VAST",
+      { version: vastVersion(version) },
+      element(
+        "Ad",
+        { id: ad.id, sequence: 1 },
+        element(
+          "InLine",
+          {},
+          element("AdSystem", { version: "1.0" }, "pipes2-server-example"),
+          isVast4 && element("AdServingId", {}, adServingId),
+          element("AdTitle", {}, ad.title),
+          element("Advertiser", {}, ad.advertiser),
+          element("Error", {}, cdata(trackingUrl("error"))),
+          element(
+            "Impression",
+            { id: "impression" },
+            cdata(trackingUrl("impression"))
+          ),
+          element(
+            "Creatives",
+            {},
+            element(
+              "Creative",
+              { id: ad.id, adId: ad.id, sequence: 1 },
+              isVast4 &&
+                element(
+                  "UniversalAdId",
+                  { idRegistry: "pipes2-server-example" },
+                  ad.id
+                ),
+              element(
+                "Linear",
+                { skipoffset: ad.skipOffset && formatTime(ad.skipOffset) },
+                element("Duration", {}, formatTime(ad.duration)),
+                element(
+                  "TrackingEvents",
+                  {},
+                  TRACKING_EVENTS.map((event) =>
+                    element("Tracking", { event }, cdata(trackingUrl(event)))
+                  )
+                ),
+                element(
+                  "VideoClicks",
+                  {},
+                  element(
+                    "ClickThrough",
+                    { id: "click" },
+                    cdata(ad.clickThrough)
+                  ),
+                  element(
+                    "ClickTracking",
+                    { id: "click" },
+                    cdata(trackingUrl("click"))
+                  )
+                ),
+                element(
+                  "MediaFiles",
+                  {},
+                  mediaFiles.map(({ src, ...attributes }) =>
+                    element("MediaFile", attributes, cdata(src))
+                  )
+                )
+              )
+            )
+          )
+        )
+      )
+    )
+  );
+};
+
+// No ad to play
+const renderEmptyVast = (version) =>
+  XML_DECLARATION + element("VAST", { version: vastVersion(version) });
+
+/**
+ * adBreaks - [{ id, offset, vastUrl }] - offset is "start", "end" or seconds
+ */
+const renderVmap = ({ adBreaks, version }) =>
+  XML_DECLARATION +
+  element(
+    "vmap:VMAP",
+    { "xmlns:vmap": "http://www.iab.net/videosuite/vmap", version: "1.0" },
+    adBreaks.map(({ id, offset, vastUrl }) =>
+      element(
+        "vmap:AdBreak",
+        {
+          timeOffset: _.isNumber(offset) ? formatTime(offset) : offset,
+          breakType: "linear",
+          breakId: id,
+        },
+        element(
+          "vmap:AdSource",
+          { id, allowMultipleAds: false, followRedirects: true },
+          element(
+            "vmap:AdTagURI",
+            { templateType: version >= 4 ? "vast4" : "vast3" },
+            cdata(vastUrl)
+          )
+        )
+      )
+    )
+  );
+
+module.exports = { TRACKING_EVENTS, renderVast, renderEmptyVast, renderVmap };
@@ -0,0 +1,189 @@
+const md5 = require("md5");
+
+const { absoluteReqBasePath } = require("./utils");
+
+// Generated SVG artwork, with the title rendered in - no network & no image
+// files needed
+const ASPECTS = {
+  "16x9": { width: 1280, height: 720 },
+  "2x3": { width: 480, height: 720 },
+  "1x1": { width: 720, height: 720 },
+};
+
+// media_item key of each aspect
+const ASPECT_KEYS = {
+  "16x9": "image_base",
+  "2x3": "2x3",
+  "1x1": "1x1_small",
+};
+
+const MAX_TITLE_LINES = 3;
+// average glyph width, relative to the font size
+const CHAR_WIDTH = 0.55;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// The same seed always gets the same colors
+const seedHue = (seed) => parseInt(md5(String(seed)).slice(0, 4), 16) % 360;
+
+const wrapText = (text, maxChars) => {
+  const lines = String(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((all, word) => {
+      const last = all[all.length - 1];
+
+      if (last && `${last} ${word}`.length <= maxChars) {
+        all[all.length - 1] = `${last} ${word}`;
+      } else {
+        all.push(word);
+      }
+
+      return all;
+    }, []);
+
+  if (lines.length <= MAX_TITLE_LINES) return lines;
+
+  return [
+    ...lines.slice(0, MAX_TITLE_LINES - 1),
+    `${lines[MAX_TITLE_LINES - 1]}…`,
+  ];
+};
+
+// Centered text
+const textElement = (text, attributes) => {
+  const attributeList = Object.entries(attributes)
+    .map(([name, value]) => `${name}="${value}"`)
+    .join(" ");
+
+  return `<text x="50%" ${attributeList}>${escapeXml(text)}</text>`;
+};
+
+const renderArtwork = ({ aspect = "16x9", title = "", subtitle, seed }) => {
+  const { width, height } = ASPECTS[aspect];
+  const hue = seedHue(seed || title);
+  const fontSize = Math.round(Math.min(width, height) / 9);
+  const lineHeight = Math.round(fontSize * 1.2);
+  const lines = wrapText(
+    title,
+    Math.floor((width * 0.85) / (fontSize * CHAR_WIDTH))
+  );
+  const top = height / 2 - ((lines.length - 1) * lineHeight) / 2;
+
+  const titleLines = lines.map((line, index) =>
+    textElement(line, {
+      y: top + index * lineHeight,
+      "font-size": fontSize,
+      "font-weight": "bold",
+    })
+  );
+
+  const subtitleLines = subtitle
+    ? [
+        textElement(subtitle, {
+          y: height - fontSize,
+          "font-size": Math.round(fontSize / 2),
+          opacity: 0.8,
+        }),
+      ]
+    : [];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">`,
+    `<stop offset="0" stop-color="hsl(${hue}, 55%, 40%)"/>`,
+    `<stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 60%, 18%)"/>`,
+    `</linearGradient></defs>`,
+    `<rect width="100%" height="100%" fill="url(#bg)"/>`,
+    `<g fill="#fff" font-family="Helvetica, Arial, sans-serif" text-anchor="middle" dominant-baseline="middle">`,
+    ...titleLines,
+    ...subtitleLines,
+    `</g>`,
+    `</svg>`,
+  ].join("");
+};
+
+const artworkUrl = ({ aspect, title, subtitle, seed }) => {
+  const query = new URLSearchParams({
+    title,
+    ...(subtitle && { subtitle }),
+    ...(seed && { seed }),
+  });
+
+  return `${absoluteReqBasePath}artwork/${aspect}.svg?${query}`;
+};
+
+// A media_item per aspect, keyed by ASPECT_KEYS (or keys)
+const artworkMediaItems = (artwork, keys = ASPECT_KEYS) =>
+  Object.keys(ASPECTS)
+    .filter((aspect) => keys[aspect])
+    .map((aspect) => ({
+      src: artworkUrl({ ...artwork, aspect }),
+      key: keys[aspect],
+    }));
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /artwork/{aspect}.svg:
+   *  get:
+   *    description: Generated artwork, with the title rendered in. Program & channel entries point here
+   *    parameters:
+   *     - in: path
+   *       name: aspect
+   *       schema:
+   *        type: "string"
+   *        enum: ["16x9", "2x3", "1x1"]
+   *       required: true
+   *     - in: query
+   *       name: title
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *     - in: query
+   *       name: subtitle
+   *       description: a smaller line at the bottom
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *     - in: query
+   *       name: seed
+   *       description: selects the colors, the title by default
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *    responses:
+   *      200:
+   *        description: An SVG image
+   *      400:
+   *        description: Unknown aspect
+   */
+  app.get("/artwork/:aspect.svg", (req, res) => {
+    const { aspect } = req.params;
+
+    if (!ASPECTS[aspect]) {
+      return res.status(400).json({ error: "Unknown aspect" });
+    }
+
+    const { title, subtitle, seed } = req.query;
+
+    res.setHeader("content-type", "image/svg+xml");
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.send(renderArtwork({ aspect, title, subtitle, seed }));
+  });
+};
+
+module.exports = {
+  ASPECTS,
+  ASPECT_KEYS,
+  renderArtwork,
+  artworkUrl,
+  artworkMediaItems,
+  setup,
+};
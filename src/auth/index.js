@@ -0,0 +1,287 @@
+const jwt = require("jsonwebtoken");
+const bodyParser = require("body-parser");
+const jsonParser = bodyParser.json();
+
+const users = require("./users");
+const { parseContext } = require("../utils");
+
+const jwtSecret = process.env.JWT_SECRET || "pipes2-server-example";
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // seconds
+
+const issueTokens = (user, session) => ({
+  token_type: "Bearer",
+  access_token: jwt.sign(
+    { type: "access", sid: session.id, email: user.email },
+    jwtSecret,
+    { subject: user.id, expiresIn: ACCESS_TOKEN_TTL }
+  ),
+  expires_in: ACCESS_TOKEN_TTL,
+  refresh_token: jwt.sign(
+    { type: "refresh", sid: session.id },
+    jwtSecret,
+    {
+      subject: user.id,
+      jwtid: session.refreshTokenId,
+      expiresIn: REFRESH_TOKEN_TTL,
+    }
+  ),
+  user: users.publicUser(user),
+});
+
+const verifyToken = (token, type) => {
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    return payload.type === type ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The token comes from the Authorization header, or the userToken context key
+const getRequestToken = (req) => {
+  const [scheme, token] = String(req.get("authorization")).split(" ");
+  if (scheme === "Bearer" && token) return token;
+
+  return parseContext(req.query.ctx, false).userToken;
+};
+
+// Sets req.user when the request carries a valid access token of a live session
+const authenticate = (req, res, next) => {
+  const token = getRequestToken(req);
+  const payload = token && verifyToken(token, "access");
+  const session = payload && users.findSession(payload.sid);
+
+  if (session && !session.revokedAt) {
+    req.user = users.publicUser(users.findUserById(payload.sub));
+    req.sessionId = session.id;
+  }
+
+  next();
+};
+
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+};
+
+// For routes that are scoped by a `userId` query param - it must be the logged in user
+const requireMatchingUserId = (req, res, next) => {
+  if (req.query.userId && req.query.userId !== req.user.id) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  next();
+};
+
+module.exports.setup = (app) => {
+  /**
+   * @swagger
+   * /auth/register:
+   *   post:
+   *     tags: [Auth]
+   *     description: Create a user and log it in
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               email:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *               name:
+   *                 type: string
+   *
+   *     responses:
+   *       201:
+   *         description: "{ token_type, access_token, expires_in, refresh_token, user }"
+   *       409:
+   *         description: The email is already registered
+   *       422:
+   *         description: Missing email or password
+   */
+  app.post("/auth/register", jsonParser, async (req, res) => {
+    try {
+      const { email, password, name } = req.body;
+
+      if (!email || !password) {
+        return res.status(422).json({ error: "Missing email or password" });
+      }
+
+      const user = await users.createUser({ email, password, name });
+
+      if (!user) {
+        return res.status(409).json({ error: "Email already registered" });
+      }
+
+      const session = await users.createSession({ userId: user.id });
+      res.status(201).json(issueTokens(user, session));
+    } catch (error) {
+      console.log(error);
+
+      res.status(500).end();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/login:
+   *   post:
+   *     tags: [Auth]
+   *     description: Log in with email & password
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               email:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *
+   *     responses:
+   *       200:
+   *         description: "{ token_type, access_token, expires_in, refresh_token, user }"
+   *       401:
+   *         description: Invalid credentials
+   */
+  app.post("/auth/login", jsonParser, async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      const user = users.verifyCredentials({ email, password });
+
+      if (!user) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      const session = await users.createSession({ userId: user.id });
+      res.json(issueTokens(user, session));
+    } catch (error) {
+      console.log(error);
+
+      res.status(500).end();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/refresh:
+   *   post:
+   *     tags: [Auth]
+   *     description: |
+   *       Exchange a refresh token for a new pair of tokens.
+   *       Refresh tokens are single use - reusing one logs the session out.
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               refresh_token:
+   *                 type: string
+   *
+   *     responses:
+   *       200:
+   *         description: "{ token_type, access_token, expires_in, refresh_token, user }"
+   *       401:
+   *         description: Invalid, expired or already used refresh token
+   */
+  app.post("/auth/refresh", jsonParser, async (req, res) => {
+    try {
+      const payload = verifyToken(req.body.refresh_token, "refresh");
+      const session = payload && users.findSession(payload.sid);
+      const user = session && users.findUserById(session.userId);
+
+      if (!user || session.revokedAt) {
+        return res.status(401).json({ error: "Invalid refresh token" });
+      }
+
+      if (session.refreshTokenId !== payload.jti) {
+        await users.revokeSession(session.id);
+        return res.status(401).json({ error: "Refresh token already used" });
+      }
+
+      const rotatedSession = await users.rotateRefreshToken(session.id);
+      res.json(issueTokens(user, rotatedSession));
+    } catch (error) {
+      console.log(error);
+
+      res.status(500).end();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/logout:
+   *   post:
+   *     tags: [Auth]
+   *     description: |
+   *       Ends the session of the given access token (Authorization header or userToken context key)
+   *       or refresh token. Both tokens of the session stop working.
+   *
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               refresh_token:
+   *                 type: string
+   *
+   *     responses:
+   *       204:
+   *         description: Logged out
+   *       401:
+   *         description: No valid token was given
+   */
+  app.post("/auth/logout", jsonParser, authenticate, async (req, res) => {
+    try {
+      const refreshPayload = verifyToken(req.body.refresh_token, "refresh");
+      const sessionId = req.sessionId || refreshPayload?.sid;
+
+      if (!sessionId) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+
+      await users.revokeSession(sessionId);
+      res.status(204).end();
+    } catch (error) {
+      console.log(error);
+
+      res.status(500).end();
+    }
+  });
+
+  /**
+   * @swagger
+   * /auth/me:
+   *   get:
+   *     tags: [Auth]
+   *     description: The logged in user
+   *
+   *     responses:
+   *       200:
+   *         description: "{ id, email, name }"
+   *       401:
+   *         description: Unauthorized
+   */
+  app.get("/auth/me", authenticate, requireUser, (req, res) => {
+    res.json(req.user);
+  });
+};
+
+module.exports.authenticate = authenticate;
+module.exports.requireUser = requireUser;
+module.exports.requireMatchingUserId = requireMatchingUserId;
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const _ = require("lodash");
+const low = require("lowdb");
+const FileSync = require("lowdb/adapters/FileSync");
+const uuid = require("uuid");
+const { DateTime } = require("luxon");
+
+const adapter = new FileSync("users.json", {
+  defaultValue: { users: [], sessions: [] },
+});
+const db = low(adapter);
+
+const hashPassword = (password, salt) =>
+  crypto.scryptSync(String(password), salt, 64).toString("hex");
+
+const normalizeEmail = (email) => _.trim(email).toLowerCase();
+
+// Never expose the password hash
+const publicUser = (user) => user && _.pick(user, ["id", "email", "name"]);
+
+const findUserById = (id) => {
+  db.read();
+  return db.get("users").find({ id }).value();
+};
+
+const createUser = async ({ email, password, name }) => {
+  db.read();
+  if (db.get("users").find({ email: normalizeEmail(email) }).value()) {
+    return null;
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  const user = {
+    id: uuid.v4(),
+    email: normalizeEmail(email),
+    name,
+    salt,
+    passwordHash: hashPassword(password, salt),
+    createdAt: DateTime.local().toMillis(),
+  };
+
+  await db.get("users").push(user).write();
+  return user;
+};
+
+const verifyCredentials = ({ email, password }) => {
+  db.read();
+  const user = db.get("users").find({ email: normalizeEmail(email) }).value();
+  if (!user) return null;
+
+  const expected = Buffer.from(user.passwordHash, "hex");
+  const actual = Buffer.from(hashPassword(password, user.salt), "hex");
+
+  return crypto.timingSafeEqual(expected, actual) ? user : null;
+};
+
+// A session lives from login until logout, across refreshes
+const createSession = async ({ userId }) => {
+  const session = {
+    id: uuid.v4(),
+    userId,
+    refreshTokenId: uuid.v4(),
+    createdAt: DateTime.local().toMillis(),
+  };
+
+  db.read();
+  await db.get("sessions").push(session).write();
+  return session;
+};
+
+const findSession = (id) => {
+  db.read();
+  return db.get("sessions").find({ id }).value();
+};
+
+const rotateRefreshToken = async (sessionId) => {
+  db.read();
+  await db
+    .get("sessions")
+    .find({ id: sessionId })
+    .assign({ refreshTokenId: uuid.v4() })
+    .write();
+  return findSession(sessionId);
+};
+
+const revokeSession = async (sessionId) => {
+  db.read();
+  await db
+    .get("sessions")
+    .find({ id: sessionId })
+    .assign({ revokedAt: DateTime.local().toMillis() })
+    .write();
+};
+
+module.exports = {
+  publicUser,
+  findUserById,
+  createUser,
+  verifyCredentials,
+  createSession,
+  findSession,
+  rotateRefreshToken,
+  revokeSession,
+};
@@ -0,0 +1,45 @@
+const _ = require("lodash");
+
+const { defaultLocale } = require("./i18n");
+const { currentTime } = require("./clock");
+
+const LEAVING_SOON = { days: 7 };
+
+// item.availableFromTimestamp / availableUntilTimestamp - see mock-db
+const isAvailableAt = (now) => (item) => {
+  const { availableFromTimestamp, availableUntilTimestamp } = item || {};
+
+  return (
+    (!availableFromTimestamp || now >= availableFromTimestamp) &&
+    (!availableUntilTimestamp || now < availableUntilTimestamp)
+  );
+};
+
+const isLeavingSoon = (item, now) =>
+  Boolean(item.availableUntilTimestamp) &&
+  now.plus(LEAVING_SOON) >= item.availableUntilTimestamp;
+
+// Extensions of the items with an availability window
+const renderAvailabilityExtensions = (
+  item,
+  { locale = defaultLocale, now = currentTime() } = {}
+) => {
+  const { availableFromTimestamp, availableUntilTimestamp } = item;
+
+  if (!availableFromTimestamp && !availableUntilTimestamp) return {};
+
+  return _.omitBy(
+    {
+      availableFrom: availableFromTimestamp && Number(availableFromTimestamp),
+      availableUntil:
+        availableUntilTimestamp && Number(availableUntilTimestamp),
+      ...(isLeavingSoon(item, now) && {
+        leavingSoon: true,
+        label: locale.t("Leaving Soon"),
+      }),
+    },
+    _.isNil
+  );
+};
+
+module.exports = { LEAVING_SOON, isAvailableAt, renderAvailabilityExtensions };
@@ -0,0 +1,43 @@
+const { DateTime } = require("luxon");
+
+// An ISO date or unix millis
+const parseNow = (value) => {
+  const dateTime = /^\d+$/.test(value)
+    ? DateTime.fromMillis(Number(value))
+    : DateTime.fromISO(value);
+
+  return dateTime.isValid ? dateTime : undefined;
+};
+
+// The server clock - MOCK_NOW freezes it, for reproducible responses
+const currentTime = () =>
+  (process.env.MOCK_NOW && parseNow(process.env.MOCK_NOW)) || DateTime.local();
+
+// The seeded schedules (EPG air times, startsOn, availability windows) are
+// offsets from the start of the week
+const startOfWeek = (zone = "UTC", now = currentTime()) =>
+  now.setZone(zone).startOf("week");
+
+/**
+ * req.now - the server clock, or the time travel override of the request:
+ * the `now` query param or the X-Mock-Now header
+ */
+const clockMiddleware = (req, res, next) => {
+  const override = req.query.now || req.get("X-Mock-Now");
+  res.vary("X-Mock-Now");
+
+  if (!override) {
+    req.now = currentTime();
+    return next();
+  }
+
+  req.now = parseNow(override);
+
+  if (!req.now) {
+    return res.status(400).json({ error: "Invalid now" });
+  }
+
+  next();
+};
+
+module.exports = { parseNow, currentTime, startOfWeek, clockMiddleware };
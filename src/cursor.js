@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const base64url = require("base64url");
+
+const cursorSecret = process.env.CURSOR_SECRET || "pipes2-server-example";
+
+const sign = (payload) =>
+  base64url.fromBase64(
+    crypto.createHmac("sha256", cursorSecret).update(payload).digest("base64")
+  );
+
+// Cursors are opaque for the client: `<base64url json payload>.<hmac signature>`
+const encodeCursor = (data) => {
+  const payload = base64url.encode(JSON.stringify(data));
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns null when the cursor is malformed or its signature doesn't match
+const decodeCursor = (cursor) => {
+  const [payload, signature] = String(cursor).split(".");
+
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(base64url.decode(payload));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keyset-like pagination over an already filtered & sorted list.
+ * The cursor holds the key of the boundary item (`after` or `before`) and its
+ * position at the time it was issued - the position is only used as a fallback
+ * when the item is no longer part of the list.
+ */
+const paginateWithCursor = ({ items, cursor, perPage, getKey }) => {
+  let start = 0;
+  let end = perPage;
+
+  if (cursor) {
+    const boundaryKey =
+      cursor.after !== undefined ? cursor.after : cursor.before;
+    const index = items.findIndex((item) => getKey(item) === boundaryKey);
+    const boundary = index === -1 ? Number(cursor.position) || 0 : index;
+
+    if (cursor.after !== undefined) {
+      start = index === -1 ? boundary : boundary + 1;
+      end = start + perPage;
+    } else {
+      end = boundary;
+      start = Math.max(0, end - perPage);
+    }
+  }
+
+  const page = items.slice(start, end);
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor:
+      last && start + page.length < items.length
+        ? encodeCursor({
+            after: getKey(last),
+            position: start + page.length - 1,
+          })
+        : undefined,
+    previousCursor:
+      first && start > 0
+        ? encodeCursor({ before: getKey(first), position: start })
+        : undefined,
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, paginateWithCursor };
@@ -1,4 +1,8 @@
-const { renderDummyMediaGroup, createIdFactory } = require("./utils");
+const {
+  renderDummyMediaGroup,
+  createIdFactory,
+  streamSrc
+} = require("./utils");
 
 const createId = createIdFactory();
 
@@ -59,32 +63,38 @@ const BigMp4 = createEntry({
 const tearsOfSteelM3u8 = createEntry({
   title: "Tears of Steel - m3u8",
   summary: "don't know what this is",
-  src: "http://demo.unified-streaming.com/video/tears-of-steel/tears-of-steel.ism/.m3u8"
+  src: streamSrc(
+    "http://demo.unified-streaming.com/video/tears-of-steel/tears-of-steel.ism/.m3u8"
+  )
 });
 
 const bigbuckbunnym3u8 = createEntry({
   title: "Big Buck Bunny stream",
   summary: "m3u8 version of big buck bunny - a rabbit goes berserk",
-  src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"
+  src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8")
 });
 
 const sintelm3u8 = createEntry({
   title: "Sintel stream",
   summary: "How much does this cost to Akamai every day ?",
-  src: "https://bitdash-a.akamaihd.net/content/sintel/hls/playlist.m3u8"
+  src: streamSrc(
+    "https://bitdash-a.akamaihd.net/content/sintel/hls/playlist.m3u8"
+  )
 });
 
 const BlipBlopm3u8 = createEntry({
   title: "Blip Blop",
   summary: "Seriously Apple ? is that the best you can provide ?",
-  src: "https://devstreaming-cdn.apple.com/videos/streaming/examples/img_bipbop_adv_example_fmp4/master.m3u8"
+  src: streamSrc(
+    "https://devstreaming-cdn.apple.com/videos/streaming/examples/img_bipbop_adv_example_fmp4/master.m3u8"
+  )
 });
 
 const undownloadableEntry = createEntry({
   hqme: false,
   title: "Can't download",
   summary: "This is a video, but it cannot be downloaded",
-  src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"
+  src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8")
 });
 
 module.exports = {
@@ -1,8 +1,9 @@
 const base64url = require("base64url");
-const { renderDummyMediaGroup } = require("./utils");
+const { renderDummyMediaGroup, streamSrc } = require("./utils");
 
-const sampleHls =
-  "http://devimages.apple.com/iphone/samples/bipbop/bipbopall.m3u8";
+const sampleHls = streamSrc(
+  "http://devimages.apple.com/iphone/samples/bipbop/bipbopall.m3u8"
+);
 
 module.exports.setup = (app) => {
   /**
@@ -44,7 +45,7 @@ module.exports.setup = (app) => {
         id: "android-item",
         title: "Android Item",
         type: { value: "video" },
-        ...renderDummyMediaGroup,
+        ...renderDummyMediaGroup({ id: "android-item" }),
         content: {
           src: sampleHls,
           type: "video/hls",
@@ -54,7 +55,7 @@ module.exports.setup = (app) => {
         id: "ios-item",
         title: "iOS Item",
         type: { value: "video" },
-        ...renderDummyMediaGroup,
+        ...renderDummyMediaGroup({ id: "ios-item" }),
         content: {
           src: sampleHls,
           type: "video/hls",
@@ -66,7 +67,7 @@ module.exports.setup = (app) => {
     res.json({
       id: "/empty-feed",
       title: "Empty Feed",
-      entry: feeds[platform],
+      entry: feeds[platform] ? [feeds[platform]] : [],
     });
   });
 };
@@ -0,0 +1,197 @@
+const _ = require("lodash");
+const low = require("lowdb");
+const FileSync = require("lowdb/adapters/FileSync");
+const { DateTime } = require("luxon");
+const bodyParser = require("body-parser");
+const jsonParser = bodyParser.json();
+
+const mockDb = require("./mock-db");
+const { authenticate, requireUser } = require("./auth");
+
+const adapter = new FileSync("entitlements.json", {
+  defaultValue: { users: {} },
+});
+const db = low(adapter);
+
+const ENTITLEMENT_TYPES = {
+  FREE: "free",
+  SUBSCRIBER: "subscriber",
+  TVOD: "tvod",
+};
+
+const SUBSCRIPTION_PRODUCT_ID = "subscription-premium";
+
+const getRequirement = (item) =>
+  item?.entitlement || { type: ENTITLEMENT_TYPES.FREE };
+
+// Extensions used by the login & storefront plugins to gate an entry
+const renderEntitlementExtensions = (item) => {
+  const { type, productId, price } = getRequirement(item);
+
+  if (type === ENTITLEMENT_TYPES.FREE) {
+    return { entitlement: type };
+  }
+
+  return {
+    entitlement: type,
+    requires_authentication: true,
+    requires_purchase: true,
+    ds_product_ids:
+      type === ENTITLEMENT_TYPES.TVOD ? [productId] : [SUBSCRIPTION_PRODUCT_ID],
+    price,
+  };
+};
+
+const getUserEntitlements = (userId) => {
+  db.read();
+  return db
+    .get(["users", userId])
+    .defaults({ subscriber: false, purchases: [] })
+    .value();
+};
+
+const setSubscription = async (userId, subscriber) => {
+  const entitlements = getUserEntitlements(userId);
+
+  await db
+    .set(["users", userId], {
+      ...entitlements,
+      subscriber,
+      subscriptionUpdatedAt: DateTime.local().toMillis(),
+    })
+    .write();
+};
+
+const addPurchase = async (userId, productId) => {
+  const entitlements = getUserEntitlements(userId);
+
+  await db
+    .set(["users", userId], {
+      ...entitlements,
+      purchases: _.union(entitlements.purchases, [productId]),
+    })
+    .write();
+};
+
+/**
+ * Can the user (undefined when logged out) watch the item?
+ * Returns the HTTP status to respond with and the reason when it can't.
+ */
+const checkAccess = (user, item) => {
+  const { type, productId } = getRequirement(item);
+
+  if (type === ENTITLEMENT_TYPES.FREE) {
+    return { allowed: true, status: 200 };
+  }
+
+  if (!user) {
+    return { allowed: false, status: 401, reason: "login_required" };
+  }
+
+  const { subscriber, purchases } = getUserEntitlements(user.id);
+
+  if (type === ENTITLEMENT_TYPES.SUBSCRIBER && !subscriber) {
+    return { allowed: false, status: 403, reason: "subscription_required" };
+  }
+
+  if (type === ENTITLEMENT_TYPES.TVOD && !_.includes(purchases, productId)) {
+    return { allowed: false, status: 403, reason: "purchase_required" };
+  }
+
+  return { allowed: true, status: 200 };
+};
+
+const userRoute = [authenticate, requireUser];
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /user/entitlements:
+   *   get:
+   *     tags: [Entitlements]
+   *     description: The logged in user subscription state & purchased products
+   *
+   *     responses:
+   *       200:
+   *         description: "{ subscriber: boolean, purchases: [productId] }"
+   *       401:
+   *         description: Unauthorized
+   */
+  app.get("/user/entitlements", userRoute, (req, res) => {
+    res.setHeader("Cache-Control", "no-cache");
+    res.json(getUserEntitlements(req.user.id));
+  });
+
+  /**
+   * @swagger
+   * /user/entitlements/purchases:
+   *   post:
+   *     tags: [Entitlements]
+   *     description: |
+   *       Simulates a successful purchase of one of the `extensions.ds_product_ids` of an entry:
+   *       `subscription-premium` for subscriber content or `tvod-<item id>` for TVOD content
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               productId:
+   *                 type: string
+   *
+   *     responses:
+   *       201:
+   *         description: "{ subscriber: boolean, purchases: [productId] }"
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Unknown product
+   */
+  app.post(
+    "/user/entitlements/purchases",
+    userRoute,
+    jsonParser,
+    async (req, res) => {
+      const { productId } = req.body;
+
+      if (productId === SUBSCRIPTION_PRODUCT_ID) {
+        await setSubscription(req.user.id, true);
+      } else if (mockDb.getMediaByProductId(productId)) {
+        await addPurchase(req.user.id, productId);
+      } else {
+        return res.status(404).json({ error: "Unknown product" });
+      }
+
+      res.status(201).json(getUserEntitlements(req.user.id));
+    }
+  );
+
+  /**
+   * @swagger
+   * /user/entitlements/subscription:
+   *   delete:
+   *     tags: [Entitlements]
+   *     description: Cancels the logged in user subscription
+   *
+   *     responses:
+   *       204:
+   *         description: Cancelled
+   *       401:
+   *         description: Unauthorized
+   */
+  app.delete("/user/entitlements/subscription", userRoute, async (req, res) => {
+    await setSubscription(req.user.id, false);
+    res.status(204).end();
+  });
+};
+
+module.exports = {
+  ENTITLEMENT_TYPES,
+  SUBSCRIPTION_PRODUCT_ID,
+  renderEntitlementExtensions,
+  getUserEntitlements,
+  checkAccess,
+  setup,
+};
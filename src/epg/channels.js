@@ -3,9 +3,20 @@ const fs = require("fs");
 const R = require("ramda");
 const md5 = require("md5");
 
+const { defaultLocale } = require("../i18n");
+const { artworkMediaItems } = require("../artwork");
+const { getImportedChannels } = require("./xmltv");
+
 const toTitleCase = R.replace(/(^.|(?<=\s).)/g, R.toUpper);
+const CHANNEL_DESCRIPTION = "This is {channel} {country}";
 const channelFolder = path.resolve(__dirname, "../../public/images/channels");
 const images = fs.readdirSync(channelFolder);
+// generated artwork, next to the logo (the imageKey)
+const CHANNEL_ARTWORK_KEYS = {
+  "16x9": "16x9",
+  "2x3": "2x3",
+  "1x1": "1x1_small",
+};
 
 const channelsData = [
   {
@@ -113,7 +124,8 @@ const getChannels = (suffix) =>
       id: md5(channel),
       title: channel,
       img: `images/channels/${img}`,
-      description: `This is ${channel} ${country}`,
+      country,
+      description: defaultLocale.t(CHANNEL_DESCRIPTION, { channel, country }),
       featured: false,
       genre: getChannelGenre(img)?.genre || "General",
     };
@@ -127,6 +139,44 @@ const channels = R.flatten(
 
 const CHANNEL_COUNT = 10;
 
+const channelsById = R.indexBy(R.prop("id"), channels);
+
+// The channels of the XMLTV file (see ./xmltv) come first. They override the
+// generated channels with the same id. The list is merged again only when the
+// file changes - its loader returns the same channels until then
+let mergedChannels = { importedChannels: undefined, list: [], byId: new Map() };
+
+const getMergedChannels = () => {
+  const importedChannels = getImportedChannels();
+  if (importedChannels === mergedChannels.importedChannels) {
+    return mergedChannels;
+  }
+
+  const list = R.uniqBy(R.prop("id"), [
+    ...importedChannels.map((channel) => ({
+      title: channel.id,
+      ...channelsById[channel.id],
+      ...R.reject(R.isNil, channel),
+    })),
+    ...channels,
+  ]);
+  mergedChannels = {
+    importedChannels,
+    list,
+    byId: new Map(list.map((channel) => [channel.id, channel])),
+  };
+
+  return mergedChannels;
+};
+
+const allChannels = () => getMergedChannels().list;
+
+const findChannel = (id) => getMergedChannels().byId.get(id);
+
+// The imported channels icons are absolute urls
+const channelIconUrl = ({ img, scheme, host }) =>
+  img && (/^https?:\/\//.test(img) ? img : `${scheme}://${host}/${img}`);
+
 function channelEntry(props) {
   const {
     type = "epg-channel",
@@ -135,10 +185,11 @@ function channelEntry(props) {
     imageKey = "image_base",
     scheme,
     host,
-    description,
+    country,
     featured,
     genre,
     id,
+    locale = defaultLocale,
   } = props;
 
   return {
@@ -147,15 +198,21 @@ function channelEntry(props) {
       value: type,
     },
     title,
-    summary: description,
+    summary: locale.t(CHANNEL_DESCRIPTION, {
+      channel: title,
+      country: country || "",
+    }),
     media_group: [
       {
         type: "image",
         media_item: [
-          {
-            src: `${scheme}://${host}/${img}`,
-            key: imageKey,
-          },
+          ...(img
+            ? [{ src: channelIconUrl({ img, scheme, host }), key: imageKey }]
+            : []),
+          ...artworkMediaItems(
+            { title, subtitle: genre, seed: id },
+            CHANNEL_ARTWORK_KEYS
+          ),
         ],
       },
     ],
@@ -178,4 +235,12 @@ function channelFeed(channels, options) {
   };
 }
 
-module.exports = { channels, channelFeed, channelEntry, CHANNEL_COUNT };
+module.exports = {
+  channels,
+  allChannels,
+  findChannel,
+  channelIconUrl,
+  channelFeed,
+  channelEntry,
+  CHANNEL_COUNT,
+};
@@ -1,16 +1,73 @@
 const R = require("ramda");
+const URI = require("urijs");
 const { DateTime } = require("luxon");
 
 const {
-  channels: channelData,
+  allChannels,
+  findChannel,
+  channelIconUrl,
   CHANNEL_COUNT,
   channelFeed,
   channelEntry
 } = require("./channels");
 
-const { programFeed, createProgramData } = require("./programs");
+const {
+  programFeed,
+  programsBetween,
+  createProgramData,
+  createGridData
+} = require("./programs");
+const { renderXmltv } = require("./xmltv");
+const { GEO_ERROR_STATUS } = require("../regions");
+const { absoluteReqPath } = require("../utils");
 const { clearCache, getAllCache } = require("./programCache");
 
+const GRID_DEFAULT_WINDOW = { hours: 3 };
+const GRID_MAX_WINDOW = { hours: 24 };
+const GRID_MAX_CHANNELS = 100;
+const XMLTV_DEFAULT_WINDOW = { hours: 24 };
+
+// Each region has its own line-up, the channels of its country. Imported
+// channels without a country are in every line-up
+const isInLineUp = R.curry(
+  (countryCode, channel) =>
+    !countryCode || !channel.country || channel.country === countryCode
+);
+
+// The window & the channels page of the grid & XMLTV export
+const parseGridQuery = (req, defaultWindow) => {
+  const { start_time, end_time, offset = 0, count = CHANNEL_COUNT } = req.query;
+
+  const from = start_time
+    ? DateTime.fromISO(start_time)
+    : req.now.startOf("hour");
+  const to = end_time ? DateTime.fromISO(end_time) : from.plus(defaultWindow);
+
+  if (
+    !from.isValid ||
+    !to.isValid ||
+    to <= from ||
+    to > from.plus(GRID_MAX_WINDOW)
+  ) {
+    return { error: "Invalid window" };
+  }
+
+  const first = Number(offset);
+  const size = Number(count);
+
+  if (
+    !Number.isInteger(first) ||
+    first < 0 ||
+    !Number.isInteger(size) ||
+    size < 1 ||
+    size > GRID_MAX_CHANNELS
+  ) {
+    return { error: "Invalid offset or count" };
+  }
+
+  return { from, to, first, size };
+};
+
 module.exports.setup = (app) => {
   /**
    * @swagger
@@ -27,6 +84,13 @@ module.exports.setup = (app) => {
    *       required: false
    *       default: 10
    *
+   *     - in: header
+   *       name: X-Country-Code
+   *       description: Only the channels of the country (US, UK, FR or DE) - as the countryCode context key
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *
    *    responses:
    *      200:
    *       description: A feed of channels
@@ -40,13 +104,16 @@ module.exports.setup = (app) => {
 
     const { count = CHANNEL_COUNT } = req.query;
 
-    const channels = channelData.slice(0, count).map((channel) => {
-      return channelEntry({
-        ...channel,
-        host,
-        scheme
+    const channels = R.filter(isInLineUp(req.countryCode), allChannels())
+      .slice(0, count)
+      .map((channel) => {
+        return channelEntry({
+          ...channel,
+          host,
+          scheme,
+          locale: req.locale
+        });
       });
-    });
 
     const feed = channelFeed(channels);
 
@@ -83,36 +150,67 @@ module.exports.setup = (app) => {
    *       required: false
    *       default: "now"
    *
+   *     - in: query
+   *       name: seed
+   *       description: seed of the generated programs - the same seed always gets the same programs
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *       default: "default"
+   *
    *    responses:
    *      200:
    *        description: A list of programs
+   *      400:
+   *        description: Missing channel id
+   *      404:
+   *        description: Unknown channel
+   *      451:
+   *        description: The channel isn't part of the line-up of the countryCode context key / X-Country-Code header
    */
   app.get("/epg/programs", async (req, res) => {
     res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
     res.setHeader("Cache-Control", "public, max-age=300");
     res.setHeader("Access-Control-Allow-Origin", "*");
 
-    const { channel: channelId, timezone = "utc", start_time } = req.query;
+    const {
+      channel: channelId,
+      timezone = "utc",
+      start_time,
+      seed
+    } = req.query;
 
-    const startTime = start_time
-      ? DateTime.fromISO(start_time)
-      : DateTime.now();
+    const startTime = start_time ? DateTime.fromISO(start_time) : req.now;
 
     if (!channelId) {
-      res.status(402).send("Missing channel id");
+      return res.status(400).json({ error: "Missing channel id" });
     }
 
-    const channel = R.find(R.propEq("id", channelId), channelData);
+    const channel = findChannel(channelId);
+
+    if (!channel) {
+      return res.status(404).json({ error: "Unknown channel" });
+    }
+
+    if (!isInLineUp(req.countryCode, channel)) {
+      return res.status(GEO_ERROR_STATUS).json({
+        error: req.locale.t("Not available in your region"),
+        reason: "geo_blocked"
+      });
+    }
 
     try {
       const programs = await createProgramData({
         timezone,
         startTime,
-        channelId
+        channelId,
+        seed,
+        locale: req.locale
       });
 
       const feed = programFeed(programs, {
-        channel: channel?.title || "unknown"
+        channel: channel.title,
+        locale: req.locale
       });
 
       res.json(feed);
@@ -122,6 +220,193 @@ module.exports.setup = (app) => {
     }
   });
 
+  /**
+   * @swagger
+   * /epg/grid:
+   *  get:
+   *    description: |
+   *      Get the programs of a page of channels, for a time window. All the channels rows share the window -
+   *      the programs airing at its edges are included whole, with the same programs (& ids) as /epg/programs
+   *
+   *    parameters:
+   *     - in: query
+   *       name: start_time
+   *       description: start of the window
+   *       schema:
+   *        type: ISO date string
+   *       required: false
+   *       default: "the current hour"
+   *
+   *     - in: query
+   *       name: end_time
+   *       description: end of the window, up to 24 hours after its start
+   *       schema:
+   *        type: ISO date string
+   *       required: false
+   *       default: "3 hours after start_time"
+   *
+   *     - in: query
+   *       name: offset
+   *       description: index of the first channel of the line-up
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 0
+   *
+   *     - in: query
+   *       name: count
+   *       description: number of channels, up to 100
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 10
+   *
+   *     - in: query
+   *       name: timezone
+   *       description: timezone of the client
+   *       schema:
+   *        type: timezone offset (utc(+|-)x)
+   *       required: false
+   *       default: "utc"
+   *
+   *     - in: query
+   *       name: seed
+   *       description: seed of the generated programs
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *       default: "default"
+   *
+   *    responses:
+   *      200:
+   *        description: A feed of channels, each with its programs. `next` links to the next page of channels
+   *      400:
+   *        description: Invalid window, offset or count
+   */
+  app.get("/epg/grid", (req, res) => {
+    res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    const { timezone = "utc", seed } = req.query;
+    const { error, from, to, first, size } = parseGridQuery(
+      req,
+      GRID_DEFAULT_WINDOW
+    );
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const lineUp = R.filter(isInLineUp(req.countryCode), allChannels());
+    const channels = lineUp.slice(first, first + size);
+
+    const next =
+      first + size < lineUp.length
+        ? new URI(absoluteReqPath(req))
+            .setQuery("offset", first + size)
+            .toString()
+        : undefined;
+
+    res.json({
+      id: "epg-grid",
+      type: { value: "epg-grid" },
+      next,
+      extensions: {
+        start_time: from.setZone(timezone).toISO(),
+        end_time: to.setZone(timezone).toISO(),
+        offset: first,
+        total: lineUp.length
+      },
+      entry: createGridData({
+        channels,
+        from,
+        to,
+        timezone,
+        seed,
+        locale: req.locale
+      })
+    });
+  });
+
+  /**
+   * @swagger
+   * /epg/xmltv:
+   *  get:
+   *    description: |
+   *      Export the schedule of a page of channels as XMLTV, the generated programs & the imported ones
+   *      (the XMLTV_FILE env variable, xmltv.xml by default). Takes the /epg/grid params
+   *
+   *    parameters:
+   *     - in: query
+   *       name: start_time
+   *       schema:
+   *        type: ISO date string
+   *       required: false
+   *       default: "the current hour"
+   *
+   *     - in: query
+   *       name: end_time
+   *       schema:
+   *        type: ISO date string
+   *       required: false
+   *       default: "24 hours after start_time"
+   *
+   *     - in: query
+   *       name: offset
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 0
+   *
+   *     - in: query
+   *       name: count
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 10
+   *
+   *     - in: query
+   *       name: seed
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *       default: "default"
+   *
+   *    responses:
+   *      200:
+   *        description: An XMLTV document
+   *      400:
+   *        description: Invalid window, offset or count
+   */
+  app.get("/epg/xmltv", (req, res) => {
+    const { seed } = req.query;
+    const { error, from, to, first, size } = parseGridQuery(
+      req,
+      XMLTV_DEFAULT_WINDOW
+    );
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const host = req.headers.host;
+    const scheme = req.secure ? "https" : "http";
+
+    const channels = R.filter(isInLineUp(req.countryCode), allChannels())
+      .slice(first, first + size)
+      .map((channel) => ({
+        id: channel.id,
+        title: channel.title,
+        iconUrl: channelIconUrl({ img: channel.img, scheme, host }),
+        programs: programsBetween({ channel, from, to, seed })
+      }));
+
+    res.setHeader("content-type", "application/xml");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.send(renderXmltv(channels));
+  });
+
   /**
    * @swagger
    * /epg/clear_cache:
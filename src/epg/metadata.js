@@ -0,0 +1,248 @@
+const R = require("ramda");
+
+const FIRST_NAMES = [
+  "Emma",
+  "Liam",
+  "Sofia",
+  "Noah",
+  "Amira",
+  "Lucas",
+  "Chloe",
+  "Mateo",
+  "Hannah",
+  "Yusuf",
+  "Clara",
+  "Oliver"
+];
+
+const LAST_NAMES = [
+  "Walker",
+  "Dubois",
+  "Schmidt",
+  "Haddad",
+  "Garcia",
+  "Bennett",
+  "Moreau",
+  "Fischer",
+  "Khan",
+  "Rossi",
+  "Lambert",
+  "Hughes"
+];
+
+const PLACES = [
+  "London",
+  "Paris",
+  "Berlin",
+  "New York",
+  "Tokyo",
+  "Nairobi",
+  "Sydney",
+  "Cairo",
+  "Toronto",
+  "Lisbon"
+];
+
+const TEAMS = [
+  "Northside Rovers",
+  "Eastport United",
+  "Harbor City",
+  "Riverside Athletic",
+  "Westfield Wanderers",
+  "Lakeview Rangers",
+  "Hillcrest Albion",
+  "Southbay Dynamo"
+];
+
+// live - the odds of a live broadcast, episodic - has season & episode numbers,
+// units - the min & max duration, in 30 minutes units
+const GENRES = {
+  News: {
+    titles: [
+      "World News Tonight",
+      "Morning Briefing",
+      "The Daily Report",
+      "Business Hour",
+      "Newsnight",
+      "Weather Watch"
+    ],
+    summary: "The latest headlines from {place}, presented by {host}.",
+    categories: ["News", "Current Affairs", "Weather", "Business"],
+    ratings: ["TV-G", "TV-PG"],
+    live: 0.6,
+    episodic: false,
+    units: [1, 2]
+  },
+  Documentary: {
+    titles: [
+      "Planet Deep",
+      "The Lost Cities",
+      "Wild Frontiers",
+      "Engineering Giants",
+      "Hidden Kingdoms",
+      "Secrets of the Ocean"
+    ],
+    summary: "{host} travels to {place} in this episode of {title}.",
+    categories: ["Documentary", "Nature", "History", "Science", "Travel"],
+    ratings: ["TV-G", "TV-PG"],
+    live: 0,
+    episodic: true,
+    units: [1, 2]
+  },
+  Kids: {
+    titles: [
+      "Captain Sprout",
+      "The Puzzle Pals",
+      "Robo Rangers",
+      "Little Explorers",
+      "Bubble Town",
+      "Dino Detectives"
+    ],
+    summary: "{host} and friends go on a new adventure.",
+    categories: ["Kids", "Animation", "Family", "Educational"],
+    ratings: ["TV-Y", "TV-Y7", "TV-G"],
+    live: 0,
+    episodic: true,
+    units: [1, 1]
+  },
+  Sports: {
+    summary: "{home} host {away}, with commentary by {host}.",
+    categories: ["Sports", "Football", "Highlights"],
+    ratings: ["TV-G"],
+    live: 0.5,
+    episodic: false,
+    units: [2, 4]
+  },
+  Movies: {
+    titles: [
+      "The Last Horizon",
+      "Midnight Line",
+      "Echoes of Tomorrow",
+      "A Quiet Harbor",
+      "The Glass Kingdom",
+      "Iron Meadow",
+      "Summer in Lisbon"
+    ],
+    summary: "A {year} film starring {cast}.",
+    categories: ["Movies", "Drama", "Comedy", "Thriller", "Romance", "Action"],
+    ratings: ["G", "PG", "PG-13", "R"],
+    live: 0,
+    episodic: false,
+    units: [3, 4]
+  },
+  Series: {
+    titles: [
+      "The Firm",
+      "Harbor Point",
+      "Precinct 9",
+      "Dark Waters",
+      "The Westons",
+      "Code Blue"
+    ],
+    summary: "Season {season}, episode {episode} of {title}.",
+    categories: ["Series", "Drama", "Crime", "Comedy", "Medical"],
+    ratings: ["TV-PG", "TV-14", "TV-MA"],
+    live: 0,
+    episodic: true,
+    units: [1, 2]
+  },
+  Entertainment: {
+    titles: [
+      "Late Night Live",
+      "The Weekend Show",
+      "Bake It Big",
+      "Home Makeover",
+      "Quiz Champions",
+      "Talent Factory"
+    ],
+    summary: "{host} welcomes {guest} to the show.",
+    categories: ["Entertainment", "Talk Show", "Reality", "Game Show"],
+    ratings: ["TV-PG", "TV-14"],
+    live: 0.2,
+    episodic: true,
+    units: [1, 3]
+  }
+};
+
+const PROGRAM_GENRES = R.keys(GENRES);
+
+// The program genres of the channel genres that aren't program genres
+const CHANNEL_GENRES = {
+  General: ["Series", "Entertainment", "Movies", "News"],
+  official: ["News", "Documentary"]
+};
+
+const personName = (random) =>
+  `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+
+// count distinct items of the list
+const pickSome = (random, items, count) => {
+  const remaining = [...items];
+
+  return R.times(
+    () => remaining.splice(random.integer(0, remaining.length - 1), 1)[0],
+    Math.min(count, items.length)
+  );
+};
+
+// Mostly a genre of the channel
+function programGenre(random, channelGenre) {
+  const genres = CHANNEL_GENRES[channelGenre] || [channelGenre];
+  const channelProgramGenres = R.filter((genre) => GENRES[genre], genres);
+
+  return random.next() < 0.8 && !R.isEmpty(channelProgramGenres)
+    ? random.pick(channelProgramGenres)
+    : random.pick(PROGRAM_GENRES);
+}
+
+/**
+ * Believable metadata of a program of the channel genre
+ * summary - { message, params }, translated when rendered
+ * units - the duration, in 30 minutes units
+ */
+function programMetadata(random, channelGenre) {
+  const genre = programGenre(random, channelGenre);
+  const { titles, summary, categories, ratings, live, episodic, units } =
+    GENRES[genre];
+
+  const [home, away] = pickSome(random, TEAMS, 2);
+  const title = titles ? random.pick(titles) : `${home} vs ${away}`;
+  const cast = R.times(() => personName(random), random.integer(2, 4));
+  const seasonNumber = episodic ? random.integer(1, 8) : undefined;
+  const episodeNumber = episodic ? random.integer(1, 22) : undefined;
+
+  const isLive = random.next() < live;
+  const isPremiere = !isLive && random.next() < 0.15;
+  const isRerun = !isLive && !isPremiere && random.next() < 0.4;
+
+  return {
+    units: random.integer(...units),
+    genre,
+    title,
+    summary: {
+      message: summary,
+      params: {
+        title,
+        home,
+        away,
+        host: cast[0],
+        guest: cast[1],
+        cast: R.join(", ", cast),
+        place: random.pick(PLACES),
+        year: random.integer(1970, 2024),
+        season: seasonNumber,
+        episode: episodeNumber
+      }
+    },
+    seasonNumber,
+    episodeNumber,
+    parentalRating: random.pick(ratings),
+    isLive,
+    isPremiere,
+    isRerun,
+    cast,
+    categories: R.uniq([genre, ...pickSome(random, categories, 2)])
+  };
+}
+
+module.exports = { PROGRAM_GENRES, programMetadata };
@@ -1,30 +1,40 @@
 const md5 = require("md5");
 
+// The programs are seeded, so evicted days are generated the same again
+const MAX_CACHE_ENTRIES = 1000;
+
 let ProgramCache = {};
 
-function getCacheKey({ channelId, date }) {
-  return md5(`${channelId}${date}`);
+function getCacheKey({ channelId, date, seed }) {
+  return md5(`${seed}${channelId}${date}`);
 }
 
 function getCacheDate(date) {
   return date.setZone("utc").startOf("hour").toISO();
 }
 
-function addToCache({ channelId, date, programs }) {
+function addToCache({ channelId, date, seed, programs }) {
   const cacheDate = getCacheDate(date);
 
-  const key = getCacheKey({ channelId, date: cacheDate });
+  const key = getCacheKey({ channelId, date: cacheDate, seed });
+
+  const keys = Object.keys(ProgramCache);
+
+  if (keys.length >= MAX_CACHE_ENTRIES) {
+    delete ProgramCache[keys[0]];
+  }
 
   ProgramCache[key] = {
     channelId,
     date: cacheDate,
+    seed,
     programs
   };
 }
 
-function getFromCache({ channelId, date }) {
+function getFromCache({ channelId, date, seed }) {
   const cacheDate = getCacheDate(date);
-  const key = getCacheKey({ channelId, date: cacheDate });
+  const key = getCacheKey({ channelId, date: cacheDate, seed });
 
   return ProgramCache[key]?.programs;
 }
@@ -1,34 +1,27 @@
 const uuid = require("uuid");
 const R = require("ramda");
-const { DateTime } = require("luxon");
-const axios = require("axios");
 
-const { channels: channelData } = require("./channels");
+const { findChannel } = require("./channels");
+const { getImportedPrograms } = require("./xmltv");
 const { getFromCache, addToCache } = require("./programCache");
-
-const defaultProgramImageUrl = "https://via.placeholder.com/640x360";
-
-async function getProgramImage() {
-  try {
-    const { request } = await axios.get("https://picsum.photos/640/360", {
-      timeout: 1000
-    });
-
-    return request.res.responseUrl;
-  } catch (e) {
-    console.warn(e.message);
-    return defaultProgramImageUrl;
-  }
-}
-
-async function randomPrograms({ date } = {}) {
-  console.log("building random programs", { date });
+const { createRandom } = require("./random");
+const { programMetadata } = require("./metadata");
+const { defaultLocale } = require("../i18n");
+const { ASPECT_KEYS, artworkMediaItems } = require("../artwork");
+
+const DEFAULT_SEED = "default";
+// namespace of the program ids - uuid v5 of the seed, channel & start time
+const PROGRAM_ID_NAMESPACE = "3b0c5a9e-6f2d-4c1b-8e7a-9d4f2a6b1c80";
+
+// The programs of a channel for a whole UTC day. The same seed, channel & day
+// always get the same programs, on every instance
+function randomPrograms({ channel, day, seed }) {
   const baseProgramUnitDuration = 30; // minutes
+  const random = createRandom(seed, channel.id, day.toISODate());
 
-  const startOfDay = date.startOf("hour");
-  const endOfDay = startOfDay.plus({ hours: 24 });
+  const endOfDay = day.plus({ days: 1 });
 
-  let currentTime = startOfDay;
+  let currentTime = day;
 
   const programs = [];
 
@@ -37,20 +30,27 @@ async function randomPrograms({ date } = {}) {
       .diff(currentTime, ["minutes"])
       .as("minutes");
 
-    const programSize = Math.floor(Math.random() * 4) + 1;
+    const { units: programSize, ...metadata } = programMetadata(
+      random,
+      channel.genre
+    );
 
     const programDuration =
       timeLeftInTheDay < baseProgramUnitDuration * 4
         ? timeLeftInTheDay
         : baseProgramUnitDuration * programSize;
 
-    const img = await getProgramImage();
+    const id = uuid.v5(
+      `${seed}:${channel.id}:${currentTime.toISO()}`,
+      PROGRAM_ID_NAMESPACE
+    );
 
     const endTime = currentTime.plus({ minutes: programDuration });
     const program = {
+      id,
       start_time: currentTime,
       end_time: endTime,
-      img
+      ...metadata
     };
 
     programs.push(program);
@@ -60,62 +60,126 @@ async function randomPrograms({ date } = {}) {
   return programs;
 }
 
-const toReadableDate = (date, timezone) =>
-  date.setZone(timezone).toFormat("fff");
-
-async function createProgramData({
-  timezone,
-  imageKey = "image_base",
-  channelId,
-  startTime: date
-}) {
-  const cachedPrograms = getFromCache({ channelId, date });
-  const programs = cachedPrograms || (await randomPrograms({ timezone, date }));
+function getDayPrograms({ channel, day, seed }) {
+  const cachedPrograms = getFromCache({
+    channelId: channel.id,
+    date: day,
+    seed
+  });
+  const programs = cachedPrograms || randomPrograms({ channel, day, seed });
 
   if (!cachedPrograms) {
-    addToCache({ channelId, date, programs });
+    addToCache({ channelId: channel.id, date: day, seed, programs });
   }
 
-  const channel = R.find(R.propEq("id", channelId), channelData);
+  return programs;
+}
+
+// The programs of the XMLTV file, with stable ids
+const importedPrograms = (channel) =>
+  getImportedPrograms(channel.id)?.map((program) => ({
+    id: uuid.v5(
+      `xmltv:${channel.id}:${program.start_time.toISO()}`,
+      PROGRAM_ID_NAMESPACE
+    ),
+    ...program
+  }));
+
+// The programs airing between from & to - the imported ones, or the generated
+// ones over the UTC days of the window. The day programs are cached, so every
+// window gets the same programs
+function programsBetween({ channel, from, to, seed = DEFAULT_SEED }) {
+  const days = R.unfold(
+    (day) => day < to && [day, day.plus({ days: 1 })],
+    from.toUTC().startOf("day")
+  );
+
+  const programs =
+    importedPrograms(channel) ||
+    days.flatMap((day) => getDayPrograms({ channel, day, seed }));
+
+  return programs.filter(
+    ({ start_time, end_time }) => end_time > from && start_time < to
+  );
+}
+
+const renderProgram =
+  ({ channel, timezone, imageKey = "image_base", locale = defaultLocale }) =>
+  ({ id, start_time, end_time, img, ...metadata }) => {
+    const { title, summary, ...extensions } = metadata;
 
-  return programs.map(({ start_time, end_time, img }) => {
     return {
-      id: uuid.v4(),
-      title: "Program Title",
-      summary: `This is a program for ${channel.title} from ${toReadableDate(
-        start_time,
-        timezone
-      )} to ${toReadableDate(end_time, timezone)}`,
+      id,
+      title,
+      summary: locale.t(summary.message, summary.params),
       type: { value: "epg-program" },
       media_group: [
         {
           type: "image",
-          media_item: [
-            {
-              src: img,
-              key: imageKey
-            }
-          ]
+          media_item: img
+            ? [{ src: img, key: imageKey }]
+            : artworkMediaItems(
+                { title, subtitle: channel.title, seed: id },
+                { ...ASPECT_KEYS, "16x9": imageKey }
+              )
         }
       ],
       extensions: {
         start_time: start_time.setZone(timezone).toISO(),
-        end_time: end_time.setZone(timezone).toISO()
+        end_time: end_time.setZone(timezone).toISO(),
+        channel_id: channel.id,
+        ...extensions
       }
     };
-  });
+  };
+
+async function createProgramData({
+  timezone,
+  imageKey,
+  channelId,
+  startTime,
+  seed,
+  locale
+}) {
+  const channel = findChannel(channelId);
+
+  // the 24 hours from the start time
+  const from = startTime.startOf("hour");
+  const to = from.plus({ hours: 24 });
+
+  return programsBetween({ channel, from, to, seed }).map(
+    renderProgram({ channel, timezone, imageKey, locale })
+  );
+}
+
+// A row of programs per channel, for the same window
+function createGridData({ channels, from, to, timezone, seed, locale }) {
+  return channels.map((channel) =>
+    programFeed(
+      programsBetween({ channel, from, to, seed }).map(
+        renderProgram({ channel, timezone, locale })
+      ),
+      { channel: channel.title, channelId: channel.id, locale }
+    )
+  );
 }
 
 function programFeed(programs, options) {
-  const { channel } = options;
+  const { channel, channelId, locale = defaultLocale } = options;
 
   return {
-    id: uuid.v4(),
-    title: `Programs for ${channel}`,
-    summary: `This is a list of programs for ${channel}`,
+    id: uuid.v5(channel, PROGRAM_ID_NAMESPACE),
+    title: locale.t("Programs for {channel}", { channel }),
+    summary: locale.t("This is a list of programs for {channel}", { channel }),
     type: { value: "epg-channel-programs" },
+    ...(channelId && { extensions: { channel_id: channelId } }),
     entry: programs
   };
 }
 
-module.exports = { createProgramData, programFeed };
+module.exports = {
+  programsBetween,
+  createProgramData,
+  createGridData,
+  programFeed
+};
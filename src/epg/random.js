@@ -0,0 +1,27 @@
+const md5 = require("md5");
+
+// mulberry32 - a small & fast 32 bit PRNG, returns numbers in [0, 1)
+function mulberry32(seed) {
+  let state = seed;
+
+  return function next() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The same keys always give the same sequence, on every instance
+function createRandom(...keys) {
+  const next = mulberry32(parseInt(md5(keys.join(":")).slice(0, 8), 16));
+
+  return {
+    next,
+    // an integer in [min, max]
+    integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+module.exports = { createRandom };
@@ -0,0 +1,203 @@
+const path = require("path");
+const R = require("ramda");
+const { DateTime } = require("luxon");
+const { XMLParser, XMLBuilder } = require("fast-xml-parser");
+
+const { defaultLocale } = require("../i18n");
+const { createFileLoader } = require("../utils");
+
+const xmltvFile = path.resolve(process.env.XMLTV_FILE || "xmltv.xml");
+
+// XMLTV dates - 20261019103000 +0200, UTC without the offset
+const XMLTV_DATE_FORMAT = "yyyyMMddHHmmss ZZZ";
+
+const ARRAY_PATHS = [
+  "tv.channel",
+  "tv.channel.display-name",
+  "tv.programme",
+  "tv.programme.title",
+  "tv.programme.desc",
+  "tv.programme.category",
+  "tv.programme.episode-num",
+  "tv.programme.credits.actor",
+  "tv.programme.credits.presenter",
+  "tv.programme.rating"
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  isArray: (name, jpath, isLeafNode, isAttribute) =>
+    !isAttribute && ARRAY_PATHS.includes(jpath)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  format: true,
+  suppressEmptyNode: true
+});
+
+// <title lang="en">Title</title> & <title>Title</title>
+const textOf = (node) => (R.is(Object, node) ? node["#text"] : node);
+const firstText = R.compose(textOf, R.head, R.defaultTo([]));
+const isFlagSet = (node) => node !== undefined;
+
+const parseDate = (value) => {
+  const [date, offset = "+0000"] = String(value).trim().split(/\s+/);
+  return DateTime.fromFormat(`${date} ${offset}`, XMLTV_DATE_FORMAT, {
+    setZone: true
+  }).toUTC();
+};
+
+const formatDate = (dateTime) => dateTime.toUTC().toFormat(XMLTV_DATE_FORMAT);
+
+// bbc1.uk -> UK, like the suffix of the generated channels images
+const channelCountry = (id) => {
+  const [, country] = /\.([a-z]{2})$/i.exec(id) || [];
+  return country && R.toUpper(country);
+};
+
+// xmltv_ns episode numbers are zero based - "3.4." is S4:E5
+const parseEpisodeNum = (episodeNums) => {
+  const xmltvNs = R.find(R.propEq("system", "xmltv_ns"), episodeNums || []);
+  const [season, episode] = R.split(".", textOf(xmltvNs) || "").map((part) =>
+    parseInt(part, 10)
+  );
+
+  // "3.." has no episode, "" neither a season
+  return {
+    seasonNumber: Number.isInteger(season) ? season + 1 : undefined,
+    episodeNumber: Number.isInteger(episode) ? episode + 1 : undefined
+  };
+};
+
+const formatEpisodeNum = ({ seasonNumber, episodeNumber }) =>
+  `${seasonNumber - 1}.${episodeNumber ? episodeNumber - 1 : ""}.`;
+
+const parseChannel = (channel) => ({
+  id: channel.id,
+  title: firstText(channel["display-name"]),
+  img: channel.icon?.src,
+  country: channelCountry(channel.id),
+  imported: true
+});
+
+// The shape of the generated programs (see ./programs), without the id
+const parseProgram = (programme) => {
+  const categories = R.map(textOf, programme.category || []);
+  const credits = programme.credits || {};
+  const cast = R.map(textOf, [
+    ...(credits.presenter || []),
+    ...(credits.actor || [])
+  ]);
+
+  return {
+    channelId: programme.channel,
+    start_time: parseDate(programme.start),
+    end_time: parseDate(programme.stop),
+    title: firstText(programme.title) || "",
+    summary: { message: firstText(programme.desc) || "", params: {} },
+    genre: R.head(categories),
+    ...parseEpisodeNum(programme["episode-num"]),
+    parentalRating: textOf(R.head(programme.rating || [])?.value),
+    isLive: isFlagSet(programme.live),
+    isPremiere: isFlagSet(programme.premiere),
+    isRerun: isFlagSet(programme["previously-shown"]),
+    cast,
+    categories,
+    img: programme.icon?.src
+  };
+};
+
+/**
+ * @returns {{ channels: Object[], programs: Object<string, Object[]> }} the
+ * channels & their programs by channel id, sorted by start time
+ */
+const parseXmltv = (xml) => {
+  const { tv = {} } = parser.parse(xml);
+
+  const programs = R.compose(
+    R.map(
+      R.compose(R.sortBy(R.prop("start_time")), R.map(R.omit(["channelId"])))
+    ),
+    R.groupBy(R.prop("channelId")),
+    R.filter(
+      ({ start_time, end_time }) => start_time.isValid && end_time.isValid
+    ),
+    R.map(parseProgram)
+  )(tv.programme || []);
+
+  return { channels: R.map(parseChannel, tv.channel || []), programs };
+};
+
+const getImportedSchedule = createFileLoader(xmltvFile, parseXmltv, {
+  channels: [],
+  programs: {}
+});
+
+const getImportedChannels = () => getImportedSchedule().channels;
+
+// undefined for the channels the file doesn't cover
+const getImportedPrograms = (channelId) =>
+  getImportedSchedule().programs[channelId];
+
+const renderProgramme = (channelId) => (program) => ({
+  "@_start": formatDate(program.start_time),
+  "@_stop": formatDate(program.end_time),
+  "@_channel": channelId,
+  title: { "#text": program.title, "@_lang": "en" },
+  desc: {
+    "#text": defaultLocale.t(program.summary.message, program.summary.params),
+    "@_lang": "en"
+  },
+  ...(!R.isEmpty(program.cast || []) && {
+    credits: { actor: program.cast }
+  }),
+  category: R.map(
+    (category) => ({ "#text": category, "@_lang": "en" }),
+    program.categories || []
+  ),
+  ...(program.img && { icon: { "@_src": program.img } }),
+  ...(program.seasonNumber && {
+    "episode-num": {
+      "#text": formatEpisodeNum(program),
+      "@_system": "xmltv_ns"
+    }
+  }),
+  ...(program.isLive && { live: "" }),
+  ...(program.isRerun && { "previously-shown": "" }),
+  ...(program.isPremiere && { premiere: "" }),
+  ...(program.parentalRating && {
+    rating: { value: program.parentalRating }
+  })
+});
+
+/**
+ * @param channels the channels, with their programs
+ */
+const renderXmltv = (channels) => {
+  const xml = builder.build({
+    tv: {
+      "@_generator-info-name": "pipes2-server-example",
+      channel: channels.map(({ id, title, iconUrl }) => ({
+        "@_id": id,
+        "display-name": title,
+        ...(iconUrl && { icon: { "@_src": iconUrl } })
+      })),
+      programme: R.chain(
+        ({ id, programs }) => programs.map(renderProgramme(id)),
+        channels
+      )
+    }
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
+};
+
+module.exports = {
+  parseXmltv,
+  renderXmltv,
+  getImportedChannels,
+  getImportedPrograms
+};
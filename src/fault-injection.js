@@ -0,0 +1,145 @@
+const path = require("path");
+const _ = require("lodash");
+
+const { createFileLoader } = require("./utils");
+
+const rulesFile = path.resolve(
+  process.env.FAULT_RULES_FILE || "fault-rules.json"
+);
+
+const FAULT_TYPES = {
+  STATUS: "status",
+  EMPTY: "empty",
+  TRUNCATED: "truncated",
+  MALFORMED: "malformed",
+};
+
+// The rules file is re-read whenever it changes, no restart needed
+const getRules = createFileLoader(rulesFile, JSON.parse, []);
+
+// "/epg/*" matches "/epg/programs"
+const matchesPath = (pattern, reqPath) =>
+  new RegExp(
+    `^${pattern.split("*").map(_.escapeRegExp).join(".*")}$`
+  ).test(reqPath);
+
+const getRuleFault = (req) =>
+  _.find(
+    getRules(),
+    ({ path: pattern = "*", method }) =>
+      (!method || method.toUpperCase() === req.method) &&
+      matchesPath(pattern, req.path)
+  );
+
+// X-Mock-Fault: type=truncated; delay=1000; rate=0.5
+const getHeaderFault = (req) => {
+  const header = req.get("x-mock-fault");
+  if (!header) return undefined;
+
+  return _.fromPairs(
+    header
+      .split(/[;,]/)
+      .map((pair) => pair.split("=").map(_.trim))
+      .filter(([key, value]) => key && value)
+  );
+};
+
+const getQueryFault = ({ query }) => {
+  const fault = _.omitBy(
+    {
+      type: query.faultType,
+      status: query.faultStatus,
+      delay: query.faultDelay,
+      rate: query.faultRate,
+    },
+    _.isNil
+  );
+
+  return _.isEmpty(fault) ? undefined : fault;
+};
+
+// The odds of injecting the fault, 0 to 1 - undefined when invalid
+const parseRate = (rate) => {
+  if (_.isNil(rate)) return 1;
+
+  const value = Number(rate);
+  return value >= 0 && value <= 1 ? value : undefined;
+};
+
+const normalizeFault = (fault) => {
+  const status = Number(fault.status) || undefined;
+  const delay = Number(fault.delay) || 0;
+
+  return {
+    // without a type or a delay, the fault is an error status
+    type: fault.type || (status || !delay ? FAULT_TYPES.STATUS : undefined),
+    status: status || 500,
+    delay,
+    rate: parseRate(fault.rate),
+  };
+};
+
+const sendBrokenJson = (res, body, type) => {
+  const json = JSON.stringify(body) || "";
+
+  res.setHeader("content-type", res.get("content-type") || "application/json");
+  res.send(
+    type === FAULT_TYPES.TRUNCATED
+      ? json.slice(0, Math.floor(json.length / 2))
+      : `${json.slice(0, -1)},}`
+  );
+  return res;
+};
+
+/**
+ * Simulates failures on any route. The fault comes from (in that order):
+ * - the faultType, faultStatus, faultDelay & faultRate query params
+ * - the X-Mock-Fault header
+ * - the first matching rule of the rules file (FAULT_RULES_FILE, defaults to ./fault-rules.json)
+ */
+const faultInjectionMiddleware = (req, res, next) => {
+  const rawFault =
+    getQueryFault(req) || getHeaderFault(req) || getRuleFault(req);
+
+  if (!rawFault) {
+    return next();
+  }
+
+  const { type, status, delay, rate } = normalizeFault(rawFault);
+
+  // a fault with an invalid rate is ignored
+  if (rate === undefined || Math.random() >= rate) {
+    return next();
+  }
+
+  res.setHeader(
+    "X-Mock-Fault-Injected",
+    _.compact([type, delay && `delay=${delay}`]).join(", ")
+  );
+
+  const inject = () => {
+    if (type === FAULT_TYPES.STATUS) {
+      return res.status(status).json({ error: "Injected fault", status });
+    }
+
+    if (type === FAULT_TYPES.EMPTY) {
+      const json = res.json.bind(res);
+      res.json = (body) =>
+        json(_.isArray(body?.entry) ? { ...body, entry: [] } : body);
+    }
+
+    if (type === FAULT_TYPES.TRUNCATED || type === FAULT_TYPES.MALFORMED) {
+      res.json = (body) => sendBrokenJson(res, body, type);
+    }
+
+    next();
+  };
+
+  if (delay) {
+    setTimeout(inject, delay);
+  } else {
+    inject();
+  }
+};
+
+module.exports = { FAULT_TYPES, faultInjectionMiddleware };
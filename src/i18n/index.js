@@ -0,0 +1,123 @@
+const _ = require("lodash");
+
+const { parseContext } = require("../utils");
+
+const DEFAULT_LANGUAGE = "en";
+
+// Catalogs are keyed by the english text (msgid), {name} are parameters
+const CATALOGS = {
+  en: {},
+  es: require("./catalogs/es.json"),
+  fr: require("./catalogs/fr.json"),
+  ar: require("./catalogs/ar.json"),
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+const RTL_LANGUAGES = ["ar"];
+
+// Luxon format of the dates in the feeds, translated like any other msgid
+const DATE_FORMAT = "LLL dd, h:mma";
+
+const interpolate = (text, params = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    _.has(params, name) ? params[name] : match
+  );
+
+// "Show {number} Title" -> /^Show (?<number>.+?) Title$/
+const templateRegExp = (template) =>
+  new RegExp(
+    `^${_.escapeRegExp(template).replace(/\\\{(\w+)\\\}/g, "(?<$1>.+?)")}$`
+  );
+
+const createLocale = (language) => {
+  const catalog = CATALOGS[language];
+  // longer templates first: "Show {number} Title" before "Show {number}"
+  const templates = _.orderBy(
+    Object.keys(catalog).filter((msgid) => /\{\w+\}/.test(msgid)),
+    "length",
+    "desc"
+  ).map((msgid) => ({ msgid, regExp: templateRegExp(msgid) }));
+
+  const t = (msgid, params) => interpolate(catalog[msgid] || msgid, params);
+
+  // Translates english content that was generated from a msgid, as the
+  // titles & summaries of the seeded db
+  const localize = (text) => {
+    if (!_.isString(text)) return text;
+    if (catalog[text]) return t(text);
+
+    const template = templates.find(({ regExp }) => regExp.test(text));
+    return template
+      ? t(template.msgid, text.match(template.regExp).groups)
+      : text;
+  };
+
+  const formatDate = (dateTime, format = DATE_FORMAT) =>
+    dateTime.setLocale(language).toFormat(t(format));
+
+  const toRelative = (dateTime, base) =>
+    dateTime.setLocale(language).toRelative({ base });
+
+  return {
+    language,
+    direction: _.includes(RTL_LANGUAGES, language) ? "rtl" : "ltr",
+    t,
+    localize,
+    formatDate,
+    toRelative,
+  };
+};
+
+const locales = _.mapValues(CATALOGS, (catalog, language) =>
+  createLocale(language)
+);
+
+const defaultLocale = locales[DEFAULT_LANGUAGE];
+
+// "es-MX" -> "es"
+const normalizeLanguage = (languageCode) => {
+  const language = _.toLower(languageCode).split(/[-_]/)[0];
+  return _.includes(SUPPORTED_LANGUAGES, language) ? language : undefined;
+};
+
+// The ctx languageCode takes precedence over the Accept-Language header
+const resolveLanguage = (req) =>
+  normalizeLanguage(parseContext(req.query.ctx, false).languageCode) ||
+  req.acceptsLanguages(SUPPORTED_LANGUAGES) ||
+  DEFAULT_LANGUAGE;
+
+// extensions.direction of the feed & its entries (nested ones included)
+const withDirection = (feed, direction) => ({
+  ...feed,
+  extensions: { ...feed.extensions, direction },
+  ...(_.isArray(feed.entry) && {
+    entry: feed.entry.map((entry) => withDirection(entry, direction)),
+  }),
+});
+
+const isPipes2Feed = (res, body) =>
+  String(res.get("content-type")).includes("pipes2") && _.isArray(body?.entry);
+
+// Sets req.locale, and tells the client the text direction of the feeds
+const localeMiddleware = (req, res, next) => {
+  req.locale = locales[resolveLanguage(req)];
+  res.setHeader("Content-Language", req.locale.language);
+  res.vary("Accept-Language");
+
+  const json = res.json.bind(res);
+
+  res.json = (body) =>
+    res.statusCode < 400 && isPipes2Feed(res, body)
+      ? json(withDirection(body, req.locale.direction))
+      : json(body);
+
+  next();
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  defaultLocale,
+  localeMiddleware,
+};
@@ -0,0 +1,180 @@
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+
+const { ASPECTS, renderArtwork } = require("./artwork");
+
+const publicFolder = path.resolve(__dirname, "../public");
+
+const IMAGE_FORMATS = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+const MAX_SIZE = 4096;
+
+// format=auto - the best format of the Accept header, jpeg by default
+const negotiateFormat = (accept = "") =>
+  ["avif", "webp"].find((format) => accept.includes(IMAGE_FORMATS[format])) ||
+  "jpeg";
+
+const parseSize = (value) => {
+  if (value === undefined) return undefined;
+
+  const size = Number(value);
+  return Number.isInteger(size) && size > 0 && size <= MAX_SIZE ? size : NaN;
+};
+
+// "16x9" -> 16 / 9
+const parseAspect = (aspect) => {
+  const [, width, height] = /^(\d+)x(\d+)$/.exec(aspect || "") || [];
+  return width && height ? Number(width) / Number(height) : undefined;
+};
+
+// The generated artwork (./artwork) or a file of /public
+const readSource = (file, query) => {
+  const [, aspect] = /^artwork\/(.+)\.svg$/.exec(file) || [];
+
+  if (aspect && ASPECTS[aspect]) {
+    const { title, subtitle, seed } = query;
+    return Buffer.from(renderArtwork({ aspect, title, subtitle, seed }));
+  }
+
+  const filePath = path.resolve(publicFolder, file);
+
+  if (!filePath.startsWith(`${publicFolder}${path.sep}`)) return undefined;
+  return fs.existsSync(filePath) ? filePath : undefined;
+};
+
+// Both sizes, cropped to the ratio - the given one, or the image one
+const targetSize = ({ width, height, ratio }, metadata) => {
+  if (width && height) return { width, height };
+
+  const targetRatio = ratio || metadata.width / metadata.height;
+
+  if (width) return { width, height: Math.round(width / targetRatio) };
+  if (height) return { width: Math.round(height * targetRatio), height };
+
+  return metadata.width / metadata.height > targetRatio
+    ? {
+        width: Math.round(metadata.height * targetRatio),
+        height: metadata.height,
+      }
+    : {
+        width: metadata.width,
+        height: Math.round(metadata.width / targetRatio),
+      };
+};
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /image/{file}:
+   *  get:
+   *    description: |
+   *      Resizes, crops & transcodes an image of /public (i.e. images/full-16x9.png) or a generated
+   *      artwork (i.e. artwork/16x9.svg?title=Hello). The media_item of the entries point here, with
+   *      a resized version per width - `{key}_320`, `{key}_640` & `{key}_1280`
+   *    parameters:
+   *     - in: path
+   *       name: file
+   *       schema:
+   *        type: "string"
+   *       required: true
+   *     - in: query
+   *       name: width
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *     - in: query
+   *       name: height
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *     - in: query
+   *       name: aspect
+   *       description: crops the image to the aspect (i.e. 16x9), ignored when both width & height are set
+   *       schema:
+   *        type: "string"
+   *       required: false
+   *     - in: query
+   *       name: format
+   *       description: auto picks the best format of the Accept header
+   *       schema:
+   *        type: "string"
+   *        enum: ["auto", "avif", "webp", "jpeg", "png"]
+   *       required: false
+   *       default: "auto"
+   *     - in: query
+   *       name: quality
+   *       description: 1-100
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *    responses:
+   *      200:
+   *        description: The image
+   *      400:
+   *        description: Invalid width, height, aspect, format or quality
+   *      404:
+   *        description: Image not found
+   */
+  app.get("/image/*", async (req, res) => {
+    const { aspect, format = "auto", quality } = req.query;
+    const width = parseSize(req.query.width);
+    const height = parseSize(req.query.height);
+    const ratio = parseAspect(aspect);
+    const imageQuality = quality && parseSize(quality);
+
+    if (Number.isNaN(width) || Number.isNaN(height)) {
+      return res.status(400).json({ error: "Invalid size" });
+    }
+
+    if (aspect && !ratio) {
+      return res.status(400).json({ error: "Invalid aspect" });
+    }
+
+    if (format !== "auto" && !IMAGE_FORMATS[format]) {
+      return res.status(400).json({ error: "Invalid format" });
+    }
+
+    if (quality && !(imageQuality <= 100)) {
+      return res.status(400).json({ error: "Invalid quality" });
+    }
+
+    const source = readSource(req.params[0], req.query);
+
+    if (!source) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const outputFormat =
+      format === "auto" ? negotiateFormat(req.get("Accept")) : format;
+
+    try {
+      const image = sharp(source);
+      const size = targetSize({ width, height, ratio }, await image.metadata());
+
+      const buffer = await image
+        .resize({ ...size, fit: "cover" })
+        .toFormat(outputFormat, { quality: imageQuality })
+        .toBuffer();
+
+      if (format === "auto") {
+        res.vary("Accept");
+      }
+
+      res.setHeader("content-type", IMAGE_FORMATS[outputFormat]);
+      res.setHeader("Cache-Control", "public, max-age=86400");
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      res.send(buffer);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+};
+
+module.exports = { IMAGE_FORMATS, setup };
@@ -7,6 +7,19 @@ const routes = require("./routes");
 const edgeCasesRoutes = require("./edge-cases-routes");
 const presetRoutes = require("./preset-routes");
 const epgRoutes = require("./epg");
+const validation = require("./validation");
+const auth = require("./auth");
+const entitlements = require("./entitlements");
+const { faultInjectionMiddleware } = require("./fault-injection");
+const { localeMiddleware } = require("./i18n");
+const { regionMiddleware } = require("./regions");
+const { clockMiddleware } = require("./clock");
+const streams = require("./streams");
+const ads = require("./ads");
+const mediaTracks = require("./media-tracks");
+const artwork = require("./artwork");
+const images = require("./images");
+const m3u = require("./m3u");
 const { absoluteReqBasePath } = require("./utils");
 
 const app = express();
@@ -28,7 +41,16 @@ const options = {
     ]
   },
   apis: [
-    path.join(__dirname, "routes.js")
+    path.join(__dirname, "routes.js"),
+    path.join(__dirname, "validation/index.js"),
+    path.join(__dirname, "auth/index.js"),
+    path.join(__dirname, "entitlements.js"),
+    path.join(__dirname, "streams/index.js"),
+    path.join(__dirname, "ads/index.js"),
+    path.join(__dirname, "media-tracks.js"),
+    path.join(__dirname, "artwork.js"),
+    path.join(__dirname, "images.js"),
+    path.join(__dirname, "m3u.js")
     // path.join(__dirname, "edge-cases-routes.js"),
   ]
 };
@@ -36,10 +58,24 @@ const options = {
 const specs = swaggerJsdoc(options);
 app.use(express.static("public"));
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
+app.use(validation.validationMiddleware);
+app.use(faultInjectionMiddleware);
+app.use(localeMiddleware);
+app.use(regionMiddleware);
+app.use(clockMiddleware);
+validation.setup(app);
+auth.setup(app);
+entitlements.setup(app);
 edgeCasesRoutes.setup(app);
 routes.setup(app);
 presetRoutes.setup(app);
 epgRoutes.setup(app);
+streams.setup(app);
+ads.setup(app);
+mediaTracks.setup(app);
+artwork.setup(app);
+images.setup(app);
+m3u.setup(app);
 
 app.listen(port, () => {
   console.log(`Example app listening at http://localhost:${port}`);
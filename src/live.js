@@ -1,4 +1,9 @@
-const { renderDummyMediaGroup, createIdFactory } = require("./utils");
+const {
+  renderDummyMediaGroup,
+  createIdFactory,
+  localStreamUrl,
+  streamSrc,
+} = require("./utils");
 
 const createId = createIdFactory();
 
@@ -27,14 +32,31 @@ const getLiveFeed = (options) => {
       createLiveEntry({
         title: "Live 1",
         summary: "Live stream with cinema aspect ration",
-        src: "https://cph-p2p-msl.akamaized.net/hls/live/2000341/test/master.m3u8",
+        src: streamSrc(
+          "https://cph-p2p-msl.akamaized.net/hls/live/2000341/test/master.m3u8",
+          { mode: "live" }
+        ),
         liveFlag,
         type,
       }),
       createLiveEntry({
         title: "Live 2",
         summary: "16:9 aspect ratio live stream",
-        src: "https://moctobpltc-i.akamaihd.net/hls/live/571329/eight/playlist.m3u8",
+        src: streamSrc(
+          "https://moctobpltc-i.akamaihd.net/hls/live/571329/eight/playlist.m3u8",
+          { mode: "live" }
+        ),
+        liveFlag,
+        type,
+      }),
+      createLiveEntry({
+        title: "Live DVR",
+        summary:
+          "Local live stream with a 5 minutes DVR window and an ad break every 2 minutes",
+        src: localStreamUrl({
+          mode: "live",
+          query: { dvrWindow: 300, adInterval: 120, adDuration: 20 },
+        }),
         liveFlag,
         type,
       }),
@@ -0,0 +1,247 @@
+const path = require("path");
+const _ = require("lodash");
+const md5 = require("md5");
+const URI = require("urijs");
+
+const { absoluteReqPath, createFileLoader } = require("./utils");
+const { artworkMediaItems } = require("./artwork");
+const { allChannels, findChannel } = require("./epg/channels");
+
+const playlistFile = path.resolve(process.env.M3U_FILE || "channels.m3u");
+
+const DEFAULT_GROUP = "Other";
+
+// tvg-id="bbc1.uk" tvg-logo="http://..." group-title="News"
+const ATTRIBUTE_REGEXP = /([\w-]+)="([^"]*)"/g;
+
+// #EXTINF:-1 tvg-id="bbc1.uk" group-title="News, UK",BBC One
+// the title follows the first comma out of the quotes
+const parseExtinf = (line) => {
+  const info = line.slice("#EXTINF:".length);
+  let quoted = false;
+  const titleIndex = _.findIndex(info, (char) => {
+    if (char === '"') quoted = !quoted;
+    return char === "," && !quoted;
+  });
+
+  const attributes = titleIndex === -1 ? info : info.slice(0, titleIndex);
+  const title = titleIndex === -1 ? "" : info.slice(titleIndex + 1).trim();
+
+  return {
+    title,
+    attributes: _.fromPairs(
+      [...attributes.matchAll(ATTRIBUTE_REGEXP)].map(([, name, value]) => [
+        name,
+        value,
+      ])
+    ),
+  };
+};
+
+/**
+ * @returns {Object[]} the channels of the playlist -
+ * { title, src, tvgId, tvgName, tvgLogo, groups }
+ */
+const parseM3u = (text) =>
+  text
+    .split(/\r?\n/)
+    .map(_.trim)
+    .filter(Boolean)
+    .reduce(
+      ({ channels, current }, line) => {
+        if (line.startsWith("#EXTINF:")) {
+          return { channels, current: parseExtinf(line) };
+        }
+
+        // #EXTGRP:News - the group of the playlists without group-title
+        if (line.startsWith("#EXTGRP:") && current) {
+          const group = line.slice("#EXTGRP:".length).trim();
+          return { channels, current: { ...current, group } };
+        }
+
+        if (line.startsWith("#") || !current) {
+          return { channels, current };
+        }
+
+        const { title, attributes, group } = current;
+        const groups = (attributes["group-title"] || group || "")
+          .split(";")
+          .map(_.trim)
+          .filter(Boolean);
+
+        return {
+          channels: [
+            ...channels,
+            {
+              title: title || attributes["tvg-name"] || line,
+              src: line,
+              tvgId: attributes["tvg-id"],
+              tvgName: attributes["tvg-name"],
+              tvgLogo: attributes["tvg-logo"],
+              groups: _.isEmpty(groups) ? [DEFAULT_GROUP] : groups,
+            },
+          ],
+          current: undefined,
+        };
+      },
+      { channels: [], current: undefined }
+    ).channels;
+
+const getPlaylist = createFileLoader(playlistFile, parseM3u, []);
+
+// The content type of the stream url extension, HLS for the others (i.e.
+// extension-less live urls)
+const CONTENT_TYPES = {
+  m3u8: "video/hls",
+  mpd: "video/dash",
+  mp4: "video/mp4",
+};
+
+const contentType = (src) =>
+  CONTENT_TYPES[_.toLower(new URI(src).suffix())] || "video/hls";
+
+// Finds the EPG channel of the tvg-id, or of the tvg-name / title
+const epgChannelFinder = (epgChannels) => {
+  const channelsByTitle = new Map();
+  epgChannels.forEach((channel) => {
+    const title = _.toLower(channel.title);
+    if (!channelsByTitle.has(title)) channelsByTitle.set(title, channel);
+  });
+
+  return ({ tvgId, tvgName, title }) =>
+    (tvgId && findChannel(tvgId)) ||
+    channelsByTitle.get(_.toLower(tvgName || title));
+};
+
+// The playlist channels with their EPG channel. They are matched again only
+// when the playlist or the EPG channels change
+let linkedPlaylist = { playlist: undefined, epgChannels: undefined, value: [] };
+
+const getLinkedPlaylist = () => {
+  const playlist = getPlaylist();
+  const epgChannels = allChannels();
+  if (
+    playlist === linkedPlaylist.playlist &&
+    epgChannels === linkedPlaylist.epgChannels
+  ) {
+    return linkedPlaylist.value;
+  }
+
+  const findEpgChannel = epgChannelFinder(epgChannels);
+  linkedPlaylist = {
+    playlist,
+    epgChannels,
+    value: playlist.map((channel) => ({
+      ...channel,
+      epgChannelId: findEpgChannel(channel)?.id,
+    })),
+  };
+
+  return linkedPlaylist.value;
+};
+
+const renderPlaylistEntry = (channel, { type = "video", group }) => {
+  const { title, src, tvgId, tvgLogo, groups, epgChannelId } = channel;
+  const id = md5(src);
+
+  return {
+    id,
+    title,
+    type: { value: type },
+    content: { src, type: contentType(src) },
+    media_group: [
+      {
+        type: "image",
+        media_item: tvgLogo
+          ? [{ src: tvgLogo, key: "image_base" }]
+          : artworkMediaItems({ title, subtitle: group, seed: id }),
+      },
+    ],
+    extensions: {
+      live: true,
+      group,
+      groups,
+      tvg_id: tvgId,
+      channel_id: epgChannelId,
+    },
+  };
+};
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /live/channels:
+   *   get:
+   *     description: |
+   *        The live channels of the M3U playlist file (the M3U_FILE env variable, channels.m3u by default),
+   *        grouped by their group-title. Without a group, returns a feed entry per group
+   *
+   *     parameters:
+   *       - in: query
+   *         name: group
+   *         description: returns the channels of the group
+   *         schema:
+   *           type: "string"
+   *       - in: query
+   *         name: type
+   *         description: |
+   *            sets the type for the channel entries. default is "video"
+   *         schema:
+   *           type: "string"
+   *
+   *     responses:
+   *       200:
+   *         description: A feed of groups, or of the channels of a group - linked to the EPG channel of their tvg-id
+   *       404:
+   *         description: Unknown group
+   */
+  app.get("/live/channels", (req, res) => {
+    res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    const { group, type } = req.query;
+    const playlist = getLinkedPlaylist();
+    const groups = _.uniq(_.flatMap(playlist, "groups"));
+
+    if (!group) {
+      return res.json({
+        id: "live-channels",
+        title: "Live channels",
+        type: { value: "feed" },
+        entry: groups.map((name) => ({
+          id: `group--${name}`,
+          title: name,
+          type: { value: "feed" },
+          link: {
+            rel: "self",
+            type: "feed",
+            href: new URI(absoluteReqPath(req))
+              .setQuery("group", name)
+              .toString(),
+          },
+          extensions: {
+            group: name,
+            count: _.filter(playlist, ({ groups }) => groups.includes(name))
+              .length,
+          },
+        })),
+      });
+    }
+
+    if (!groups.includes(group)) {
+      return res.status(404).json({ error: "Unknown group" });
+    }
+
+    res.json({
+      id: `live-channels--${group}`,
+      title: group,
+      type: { value: "feed" },
+      entry: playlist
+        .filter(({ groups }) => groups.includes(group))
+        .map((channel) => renderPlaylistEntry(channel, { type, group })),
+    });
+  });
+};
+
+module.exports = { parseM3u, setup };
@@ -0,0 +1,190 @@
+const _ = require("lodash");
+
+const mockDb = require("./mock-db");
+const { absoluteReqBasePath } = require("./utils");
+
+const DEFAULT_LANGUAGE = "en";
+const DEFAULT_DURATION = 90 * 60; // seconds, for items without duration
+const CUE_INTERVAL = 4;
+const CUE_DURATION = 3;
+
+// {n} - cue number, {title} - item title
+const SUBTITLE_LANGUAGES = {
+  en: { label: "English", text: "Line {n} of {title}" },
+  es: { label: "Español", text: "Línea {n} de {title}" },
+  fr: { label: "Français", text: "Ligne {n} de {title}" },
+  de: { label: "Deutsch", text: "Zeile {n} von {title}" },
+  ar: { label: "العربية", text: "السطر {n} من {title}", rtl: true },
+};
+
+const SUBTITLE_FORMATS = {
+  vtt: "text/vtt",
+  ttml: "application/ttml+xml",
+};
+
+// Descriptors of the alternate audio tracks of the item. The generated streams
+// are video only, so they are metadata for the audio selection UI - there is
+// no rendition to switch to
+const AUDIO_TRACKS = [
+  { id: "audio-en", language: "en", label: "English", role: "main" },
+  {
+    id: "audio-en-ad",
+    language: "en",
+    label: "English - Audio Description",
+    role: "description",
+  },
+  { id: "audio-es", language: "es", label: "Español", role: "dub" },
+  { id: "audio-fr", language: "fr", label: "Français", role: "dub" },
+].map((track) => ({ ...track, codec: "mp4a.40.2", channels: 2 }));
+
+const getCues = ({ item, language }) => {
+  const duration = item.durationInSeconds || DEFAULT_DURATION;
+  const { text } = SUBTITLE_LANGUAGES[language];
+
+  return _.range(0, duration, CUE_INTERVAL).map((start, index) => ({
+    start,
+    end: Math.min(start + CUE_DURATION, duration),
+    text: text.replace("{n}", index + 1).replace("{title}", () => item.title),
+  }));
+};
+
+// 83.5 -> 00:01:23.500
+const formatTime = (seconds) =>
+  new Date(seconds * 1000).toISOString().slice(11, 23);
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// The cue payload can't hold "-->" (escaped as "--&gt;") nor blank lines,
+// which end the cue
+const escapeCueText = (text) => escapeXml(text).replace(/\n\s*\n/g, "\n");
+
+const renderWebVtt = (cues) =>
+  [
+    "WEBVTT",
+    "",
+    ...cues.map(({ start, end, text }, index) =>
+      [
+        index + 1,
+        `${formatTime(start)} --> ${formatTime(end)}`,
+        escapeCueText(text),
+        "",
+      ].join("\n")
+    ),
+  ].join("\n");
+
+const renderTtml = (cues, language) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="${language}">`,
+    "  <body>",
+    `    <div${
+      SUBTITLE_LANGUAGES[language].rtl ? ' tts:direction="rtl"' : ""
+    }>`,
+    ...cues.map(
+      ({ start, end, text }) =>
+        `      <p begin="${formatTime(start)}" end="${formatTime(
+          end
+        )}">${escapeXml(text)}</p>`
+    ),
+    "    </div>",
+    "  </body>",
+    "</tt>",
+    "",
+  ].join("\n");
+
+const subtitleUrl = ({ id, language, format }) =>
+  `${absoluteReqBasePath}subtitles/${encodeURIComponent(
+    id
+  )}/${language}.${format}`;
+
+// The language of the request, when there are subtitles in it
+const defaultLanguage = (locale) =>
+  _.has(SUBTITLE_LANGUAGES, locale?.language)
+    ? locale.language
+    : DEFAULT_LANGUAGE;
+
+// The track dubbed in the language, the main track otherwise
+const defaultAudioTrack = (language) =>
+  _.find(AUDIO_TRACKS, { language, role: "dub" }) ||
+  _.find(AUDIO_TRACKS, { role: "main" });
+
+// Extensions used by the player for the caption & audio track selection
+const renderTrackExtensions = (item, { locale } = {}) => ({
+  text_tracks: _.flatMap(SUBTITLE_LANGUAGES, ({ label }, language) =>
+    _.map(SUBTITLE_FORMATS, (type, format) => ({
+      id: `text-${language}-${format}`,
+      kind: "subtitles",
+      language,
+      label,
+      type,
+      src: subtitleUrl({ id: item.id, language, format }),
+    }))
+  ),
+  audio_tracks: AUDIO_TRACKS.map((track) => ({
+    ...track,
+    default: track === defaultAudioTrack(defaultLanguage(locale)),
+  })),
+  default_language: defaultLanguage(locale),
+});
+
+const setup = (app) => {
+  /**
+   * @swagger
+   * /subtitles/{entryId}/{language}.{format}:
+   *   get:
+   *     description: Generated subtitles of an entry - the `extensions.text_tracks` urls
+   *
+   *     parameters:
+   *       - in: path
+   *         name: entryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: language
+   *         required: true
+   *         description: en, es, fr, de or ar
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: format
+   *         required: true
+   *         description: vtt or ttml
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       200:
+   *         description: WebVTT or TTML subtitles
+   *       404:
+   *         description: Unknown entry, language or format
+   */
+  app.get("/subtitles/:entryId/:language.:format", (req, res) => {
+    const { entryId, language, format } = req.params;
+    const item = mockDb.getMediaById(entryId);
+
+    if (!item || !SUBTITLE_LANGUAGES[language] || !SUBTITLE_FORMATS[format]) {
+      return res.status(404).json({ error: "Subtitles not found" });
+    }
+
+    const cues = getCues({ item, language });
+
+    res.setHeader("content-type", SUBTITLE_FORMATS[format]);
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    res.send(
+      format === "vtt" ? renderWebVtt(cues) : renderTtml(cues, language)
+    );
+  });
+};
+
+module.exports = {
+  SUBTITLE_LANGUAGES,
+  AUDIO_TRACKS,
+  renderTrackExtensions,
+  setup,
+};
@@ -1,6 +1,7 @@
-const { absoluteReqBasePath } = require("./utils");
+const { absoluteReqBasePath, streamSrc } = require("./utils");
+const { defaultLocale } = require("./i18n");
 
-const helpAndSupport = () => ({
+const helpAndSupport = ({ t } = defaultLocale) => ({
   entry: [
     {
       content: {
@@ -24,7 +25,7 @@ const helpAndSupport = () => ({
           type: "image",
         },
       ],
-      title: "Privacy Notice",
+      title: t("Privacy Notice"),
       type: { value: "link" },
     },
     {
@@ -49,7 +50,7 @@ const helpAndSupport = () => ({
           type: "image",
         },
       ],
-      title: "Terms Of Use",
+      title: t("Terms Of Use"),
       type: { value: "link" },
     },
     {
@@ -74,7 +75,7 @@ const helpAndSupport = () => ({
           type: "image",
         },
       ],
-      title: "Help",
+      title: t("Help"),
       type: { value: "link" },
     },
     {
@@ -93,22 +94,22 @@ const helpAndSupport = () => ({
           type: "image",
         },
       ],
-      title: "About",
+      title: t("About"),
       type: { value: "link" },
     },
   ],
   extensions: {},
   id: "b5497f2b-ea02-4088-bfe6-ab95312af520",
-  title: "Help & Support",
+  title: t("Help & Support"),
   type: { value: "feed" },
 });
 
-const searchMessage = () => ({
+const searchMessage = ({ t } = defaultLocale) => ({
   entry: [
     {
       extensions: {
-        message1: "Try typing ‘episode’ to show search",
-        message2: "results screen",
+        message1: t("Try typing ‘episode’ to show search"),
+        message2: t("results screen"),
       },
       id: "eb109ee3-9174-428b-9654-ca0721349fb1",
       media_group: [
@@ -122,16 +123,16 @@ const searchMessage = () => ({
           type: "image",
         },
       ],
-      title: "Search",
+      title: t("Search"),
     },
   ],
   extensions: {},
   id: "3dc94149-40d8-4130-85fc-5e6ee918b323",
-  title: "Search Message",
+  title: t("Search Message"),
   type: { value: "feed" },
 });
 
-const searchBoxFeed = () => ({
+const searchBoxFeed = ({ t } = defaultLocale) => ({
   entry: [
     {
       extensions: {},
@@ -147,17 +148,17 @@ const searchBoxFeed = () => ({
           type: "image",
         },
       ],
-      title: "Find something to watch",
+      title: t("Find something to watch"),
       type: { value: "search-screen" },
     },
   ],
   extensions: {},
   id: "961cd726-4b7b-410c-b5c6-94c12f1afec9",
-  title: "Search Box Feed",
+  title: t("Search Box Feed"),
   type: { value: "feed" },
 });
 
-const browseBy = () => ({
+const browseBy = ({ t } = defaultLocale) => ({
   entry: [
     {
       extensions: {},
@@ -173,8 +174,8 @@ const browseBy = () => ({
           type: "image",
         },
       ],
-      summary: "Movies",
-      title: "Movies",
+      summary: t("Movies"),
+      title: t("Movies"),
       type: { value: "type-movies" },
     },
     {
@@ -191,8 +192,8 @@ const browseBy = () => ({
           type: "image",
         },
       ],
-      summary: "Shows",
-      title: "Shows",
+      summary: t("Shows"),
+      title: t("Shows"),
       type: { value: "type-shows" },
     },
     {
@@ -209,8 +210,8 @@ const browseBy = () => ({
           type: "image",
         },
       ],
-      summary: "Channels",
-      title: "Channels",
+      summary: t("Channels"),
+      title: t("Channels"),
       type: { value: "type-channels" },
     },
     {
@@ -227,35 +228,36 @@ const browseBy = () => ({
           type: "image",
         },
       ],
-      summary: "New",
-      title: "New",
+      summary: t("New"),
+      title: t("New"),
       type: { value: "type-new" },
     },
   ],
   extensions: {},
   id: "c98721d6-ca9c-4b2d-8b7c-849f5bd2a992",
-  title: "Browse By",
+  title: t("Browse By"),
   type: { value: "feed" },
 });
 
-const presetsDataSource = () => ({
+const presetsDataSource = ({ t } = defaultLocale) => ({
   entry: [
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-1",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 2754,
         genre: "Action & Adventure",
-        label: "Featured",
+        label: t("Featured"),
         meta: "Action & Adventure · 2021 · PG-13 · 2h 43m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "b8d71b1e-6c23-44de-9c58-db9dea48cfc6",
       link: { href: "", type: "link" },
@@ -279,27 +281,29 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-2",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 1000,
         genre: "Comedy",
-        label: "LIVE",
+        label: t("LIVE"),
         meta: "Comedy · 2022 · 1h 43m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "21229c92-ac9c-41c6-a2ec-a294eb1377f3",
       link: { href: "", type: "link" },
@@ -323,27 +327,29 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-1",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 5739,
         genre: "Horror",
-        label: "Featured",
+        label: t("Featured"),
         meta: "Horror · 2021 · PG-13 · 1h 28m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "8a6afe73-500a-4078-9b33-9f6490e8db8e",
       link: { href: "", type: "link" },
@@ -367,27 +373,29 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-1",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 304,
         genre: "Action & Adventure",
-        label: "Featured",
+        label: t("Featured"),
         meta: "Action & Adventure · 2021 · PG-13 · 2h 43m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "5dcf0c60-ccdd-45dc-8a74-a10a33dfcc61",
       link: { href: "", type: "link" },
@@ -411,27 +419,29 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-1",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 2754,
         genre: "Action & Adventure",
-        label: "Featured",
+        label: t("Featured"),
         meta: "Action & Adventure · 2021 · PG-13 · 2h 43m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "f13bcfb7-d189-4677-8f3c-bfcde03f8500",
       link: { href: "", type: "link" },
@@ -455,27 +465,29 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
     {
       content: {
-        src: "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+        src: streamSrc("https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"),
         type: "video/hls",
       },
       extensions: {
-        button: "Start Watching",
+        button: t("Start Watching"),
         channel: "channel-1",
-        cta: "Start Watching",
-        detailButton: "Watch Now",
+        cta: t("Start Watching"),
+        detailButton: t("Watch Now"),
         duration: 2754,
         genre: "Action & Adventure",
-        label: "Featured",
+        label: t("Featured"),
         meta: "Action & Adventure · 2021 · PG-13 · 2h 43m",
-        "short-summary":
-          "Here will be a short description of the item. You can control the number of shown lines.",
+        "short-summary": t(
+          "Here will be a short description of the item. You can control the number of shown lines."
+        ),
       },
       id: "b28f7e51-b5c4-4f6c-a752-e0ff92395227",
       link: { href: "", type: "link" },
@@ -499,15 +511,16 @@ const presetsDataSource = () => ({
           type: "image",
         },
       ],
-      summary:
-        "Here will be a short description of the item. You can control the number of shown lines.",
-      title: "Content Title ",
+      summary: t(
+        "Here will be a short description of the item. You can control the number of shown lines."
+      ),
+      title: t("Content Title "),
       type: { value: "video" },
     },
   ],
   extensions: {},
   id: "72157fb5-a508-46bb-ab93-91c5865e3b69",
-  title: "Content Header ",
+  title: t("Content Header "),
   type: { value: "feed" },
 });
 
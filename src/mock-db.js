@@ -4,12 +4,19 @@ const FileSync = require("lowdb/adapters/FileSync");
 const _ = require("lodash");
 const adapter = new FileSync("db.json");
 const db = low(adapter);
+const userCollectionsAdapter = new FileSync("user-collections.json", {
+  defaultValue: { users: {} },
+});
+const userCollectionsDb = low(userCollectionsAdapter);
 const maxResults = 100;
-const { DateTime } = require("luxon");
+const { DateTime, Duration } = require("luxon");
+const { paginateWithCursor } = require("./cursor");
+const { isAvailableIn } = require("./regions");
+const { isAvailableAt } = require("./availability");
+const { currentTime, startOfWeek } = require("./clock");
 
-const calcTimestamp = (input, timeZoneOffset) => {
+const calcTimestamp = (input, now, timeZoneOffset) => {
   if (Number(input)) return Number(input);
-  const now = DateTime.local();
   if (input === "now") return now;
   if (input === "tonight")
     return now.setZone(timeZoneOffset).startOf("day").plus({ hours: 20 });
@@ -17,22 +24,22 @@ const calcTimestamp = (input, timeZoneOffset) => {
     return now.setZone(timeZoneOffset).startOf("day").plus({ hours: 24 });
 };
 
-const epgUtils = (programs, epgFilters, timeZoneOffset) => {
-  const now = DateTime.local();
-  // add isLive property to all items that are currently running
+const epgUtils = (programs, epgFilters, timeZoneOffset, now) => {
+  // add isLive property to all items that are currently running - on a copy,
+  // as the clock of the next request may be different
   const modifiedPrograms = programs.map((program) => {
     if (
       program.airTimestamp <= now &&
       now <= program.airTimestamp.plus({ seconds: program.durationInSeconds })
     ) {
-      program.isLive = true;
+      return { ...program, isLive: true };
     }
     return program;
   });
 
   if (epgFilters.from && epgFilters.to) {
-    const from = calcTimestamp(epgFilters.from, timeZoneOffset);
-    const to = calcTimestamp(epgFilters.to);
+    const from = calcTimestamp(epgFilters.from, now, timeZoneOffset);
+    const to = calcTimestamp(epgFilters.to, now);
     return modifiedPrograms.filter((program) => {
       return from <= program.airTimestamp && to >= program.airTimestamp;
     });
@@ -71,7 +78,7 @@ const epgUtils = (programs, epgFilters, timeZoneOffset) => {
       return (
         program.airTimestamp.ordinal ==
           DateTime.fromMillis(Number(epgFilters.futureForDay)).ordinal &&
-        program.airTimestamp.toMillis() >= DateTime.local().toMillis()
+        program.airTimestamp.toMillis() >= now.toMillis()
       );
     });
   }
@@ -79,9 +86,9 @@ const epgUtils = (programs, epgFilters, timeZoneOffset) => {
   if (epgFilters.nowAndOnwardsForToday) {
     return modifiedPrograms.filter((program) => {
       return (
-        program.airTimestamp.ordinal == DateTime.local().ordinal &&
+        program.airTimestamp.ordinal == now.ordinal &&
         program.airTimestamp.toMillis() + program.durationInSeconds * 1000 >=
-          DateTime.local().toMillis()
+          now.toMillis()
       );
     });
   }
@@ -106,9 +113,6 @@ db._.mixin({
 const calculateLimit = (limit) =>
   limit && Number(limit) < maxResults ? Number(limit) : maxResults;
 
-const now = DateTime.local();
-const startOfWeek = (zone = "UTC") => now.setZone(zone).startOf("week");
-
 const calculateSorts = (sorts) => {
   return sorts.reduce(
     (acc, item) => {
@@ -135,22 +139,81 @@ const getNextPage = ({ total, maxPage, perPage, page }) => {
   return undefined;
 };
 
+const getPreviousPage = ({ page }) =>
+  Number(page) > 1 ? Number(page) - 1 : undefined;
+
+// The timestamps of the week of `now`, on a copy - the records of the db are
+// shared by the requests, which may have different clocks
+const withStartsOnTimestamp = (now) => (item) =>
+  item?.startsOn
+    ? {
+        ...item,
+        startsOnTimestamp: startOfWeek("UTC", now).plus(item.startsOn),
+      }
+    : item;
+
+// availability - { from, to } offsets from the start of the week
+const withAvailabilityTimestamps = (now) => (item) => {
+  const { from, to } = item?.availability || {};
+
+  if (!from && !to) return item;
+
+  return {
+    ...item,
+    ...(from && {
+      availableFromTimestamp: startOfWeek("UTC", now).plus(from),
+    }),
+    ...(to && { availableUntilTimestamp: startOfWeek("UTC", now).plus(to) }),
+  };
+};
+
+const withTimestamps = (now) =>
+  _.flow(withStartsOnTimestamp(now), withAvailabilityTimestamps(now));
+
+// airTime (the offset from the start of the week) rather than airTimestamp -
+// a cursor stays valid when the week changes
+const programCursorKey = (program) =>
+  `${program.channel}:${Duration.fromObject(program.airTime).toMillis()}`;
+
+// maxPage applies to cursors too - the items of the first maxPage pages
+const takeMaxPages = (query, { maxPage, perPage }) =>
+  query
+    .take(Number(_.defaultTo(maxPage, 100)) * Number(_.defaultTo(perPage, 20)))
+    .value();
+
 module.exports.getMediaItems = ({
   filters,
   sorts,
   maxPage,
   perPage,
   page,
+  paging,
+  cursor,
   q,
+  countryCode,
+  now = currentTime(),
 }) => {
   const { keys, order } = calculateSorts(sorts);
 
   const baseQuery = db
     .get("media")
     .filter(filters)
+    // an item requested by id is kept, to be rendered as an error entry
+    .filter(filters.id ? _.stubTrue : isAvailableIn(countryCode, now))
+    .map(withTimestamps(now))
+    .filter(isAvailableAt(now))
     .fuse(q)
     .orderBy(keys, order);
 
+  if (paging === "cursor") {
+    return paginateWithCursor({
+      items: takeMaxPages(baseQuery, { maxPage, perPage }),
+      cursor,
+      perPage: Number(_.defaultTo(perPage, 20)),
+      getKey: (item) => item.id,
+    });
+  }
+
   const total = baseQuery.size().value();
   const currentPage = _.defaultTo(page, 1);
   currentPerPage = _.defaultTo(perPage, 20);
@@ -165,13 +228,8 @@ module.exports.getMediaItems = ({
   });
   return {
     nextPage,
+    previousPage: getPreviousPage({ page: currentPage }),
     items: baseQuery
-      .map((item) => {
-        if (item.startsOn) {
-          item.startsOnTimestamp = startOfWeek().plus(item.startsOn);
-        }
-        return item;
-      })
       .drop((currentPage - 1) * currentPerPage)
       .take(currentPerPage)
       .value(),
@@ -185,15 +243,29 @@ module.exports.getPrograms = ({
   maxPage,
   perPage,
   page,
+  paging,
+  cursor,
+  now = currentTime(),
 }) => {
+  // the EPG repeats every week, it follows the week of the request clock -
+  // on copies, as the clock of the next request may be different
   const baseQuery = db
     .get("programs")
     .filter(filters)
-    .map((program) => {
-      program.airTimestamp = startOfWeek(timeZoneOffset).plus(program.airTime);
-      return program;
-    })
-    .epgUtils(epgFilters, timeZoneOffset);
+    .map((program) => ({
+      ...program,
+      airTimestamp: startOfWeek(timeZoneOffset, now).plus(program.airTime),
+    }))
+    .epgUtils(epgFilters, timeZoneOffset, now);
+
+  if (paging === "cursor") {
+    return paginateWithCursor({
+      items: takeMaxPages(baseQuery, { maxPage, perPage }),
+      cursor,
+      perPage: Number(_.defaultTo(perPage, 20)),
+      getKey: programCursorKey,
+    });
+  }
 
   const total = baseQuery.size().value();
   const currentPage = _.defaultTo(page, 1);
@@ -209,6 +281,7 @@ module.exports.getPrograms = ({
   });
   return {
     nextPage,
+    previousPage: getPreviousPage({ page: currentPage }),
     items: baseQuery
       .drop((currentPage - 1) * currentPerPage)
       .take(currentPerPage)
@@ -216,7 +289,163 @@ module.exports.getPrograms = ({
   };
 };
 
-module.exports.getCollectionByName = ({ name }) => {
+module.exports.getMediaById = (id, now = currentTime()) =>
+  withTimestamps(now)(db.get("media").find({ id }).value());
+
+module.exports.getMediaByProductId = (productId) =>
+  productId && db.get("media").find({ entitlement: { productId } }).value();
+
+module.exports.getNextEpisode = ({ showId, seasonNumber, episodeNumber }) =>
+  db
+    .get("media")
+    .filter({ type: "episode", showId })
+    .orderBy(["seasonNumber", "episodeNumber"])
+    .find(
+      (episode) =>
+        episode.seasonNumber > seasonNumber ||
+        (episode.seasonNumber === seasonNumber &&
+          episode.episodeNumber > episodeNumber)
+    )
+    .value();
+
+const SEARCH_KEYS = [
+  { name: "title", weight: 3 },
+  { name: "summary", weight: 1 },
+  { name: "genre", weight: 1 },
+  { name: "channel", weight: 1 },
+  { name: "id", weight: 0.5 },
+];
+
+// How many typos are tolerated - maps to the fuse.js threshold
+const TYPO_TOLERANCE = {
+  none: 0,
+  low: 0.1,
+  medium: 0.3,
+  high: 0.5,
+};
+
+const SEARCH_FACETS = ["type", "genre", "channel"];
+
+const countFacets = (items) =>
+  SEARCH_FACETS.reduce((acc, facet) => {
+    acc[facet] = _.countBy(
+      items.filter((item) => item[facet]),
+      facet
+    );
+    return acc;
+  }, {});
+
+// The items of the region in their availability window - the searchable ones
+const availableMedia = ({ countryCode, now }) =>
+  db
+    .get("media")
+    .filter(isAvailableIn(countryCode, now))
+    .map(withTimestamps(now))
+    .filter(isAvailableAt(now));
+
+module.exports.searchMedia = ({
+  q,
+  filters,
+  typoTolerance,
+  perPage,
+  page,
+  countryCode,
+  now = currentTime(),
+}) => {
+  const threshold = _.has(TYPO_TOLERANCE, typoTolerance)
+    ? TYPO_TOLERANCE[typoTolerance]
+    : TYPO_TOLERANCE.medium;
+
+  const fuse = new Fuse(availableMedia({ countryCode, now }).value(), {
+    keys: SEARCH_KEYS,
+    threshold,
+    ignoreLocation: true,
+    includeScore: true,
+    includeMatches: true,
+    // avoid highlighting single scattered letters on fuzzy matches
+    minMatchCharLength: Math.min(_.size(q), 3),
+  });
+
+  const results = q ? fuse.search(q) : [];
+
+  const filteredResults = _.filter(results, ({ item }) =>
+    _.isMatch(item, filters)
+  );
+
+  const currentPage = Number(_.defaultTo(page, 1));
+  const currentPerPage = Number(_.defaultTo(perPage, 20));
+
+  return {
+    total: filteredResults.length,
+    facets: countFacets(results.map(({ item }) => item)),
+    nextPage: getNextPage({
+      total: filteredResults.length,
+      maxPage: Infinity,
+      perPage: currentPerPage,
+      page: currentPage,
+    }),
+    previousPage: getPreviousPage({ page: currentPage }),
+    results: _.slice(
+      filteredResults,
+      (currentPage - 1) * currentPerPage,
+      currentPage * currentPerPage
+    ),
+  };
+};
+
+const SUGGESTION_SOURCES = {
+  title: (media) =>
+    media
+      .filter(({ type }) => _.includes(["show", "movie", "episode"], type))
+      .map("title"),
+  genre: (media) => media.map("genre"),
+  channel: (media) => media.map("channel"),
+};
+
+const getSuggestionTerms = (media) =>
+  _.flatMap(SUGGESTION_SOURCES, (getTerms, source) =>
+    getTerms(media)
+      .compact()
+      .uniq()
+      .map((term) => ({ term, source }))
+      .value()
+  );
+
+module.exports.getSuggestions = ({
+  q,
+  limit = 10,
+  countryCode,
+  now = currentTime(),
+}) => {
+  const query = _.trim(q).toLowerCase();
+  if (!query) return [];
+
+  const terms = getSuggestionTerms(availableMedia({ countryCode, now }));
+
+  const prefixMatches = terms
+    .filter(({ term }) =>
+      _.some(
+        [term, ...term.split(/[\s-]+/)],
+        (word) => _.startsWith(word.toLowerCase(), query)
+      )
+    )
+    .map((suggestion) => ({ ...suggestion, match: "prefix" }));
+
+  const fuzzyMatches = new Fuse(_.differenceBy(terms, prefixMatches, "term"), {
+    keys: ["term"],
+    threshold: TYPO_TOLERANCE.medium,
+    ignoreLocation: true,
+  })
+    .search(query)
+    .map(({ item }) => ({ ...item, match: "fuzzy" }));
+
+  return _.take(
+    [..._.sortBy(prefixMatches, ({ term }) => term.length), ...fuzzyMatches],
+    limit
+  );
+};
+
+module.exports.getCollectionByName = ({ name, now = currentTime() }) => {
   if (name === "genres") {
     return {
       items: [
@@ -244,10 +473,15 @@ module.exports.getCollectionByName = ({ name }) => {
       ],
     };
   }
+  // the items out of their availability window are hidden
+  const media = db
+    .get("media")
+    .map(withTimestamps(now))
+    .filter(isAvailableAt(now));
+
   const collections = {
     homeFeatured: {
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "show")
         .map((item) => {
           item.cta = "Start Watching";
@@ -261,8 +495,7 @@ module.exports.getCollectionByName = ({ name }) => {
     featuredGenre1: {
       id: 'genre-1',
       type: 'example-genre',
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "show" && item.genre === "genre-1")
         .shuffle()
         .take(6),
@@ -271,8 +504,7 @@ module.exports.getCollectionByName = ({ name }) => {
     featuredGenre2: {
       id: 'genre-2',
       type: 'example-genre',
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "show" && item.genre === "genre-2")
         .shuffle()
         .take(6),
@@ -280,8 +512,7 @@ module.exports.getCollectionByName = ({ name }) => {
 
     popularMovies: {
       type: 'feed',
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "movie")
         .shuffle()
         .take(6),
@@ -289,8 +520,7 @@ module.exports.getCollectionByName = ({ name }) => {
 
     featuredMovies: {
       type: 'feed',
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "movie")
         .shuffle()
         .take(6),
@@ -298,8 +528,7 @@ module.exports.getCollectionByName = ({ name }) => {
 
     popularShows: {
       type: 'feed',
-      items: db
-        .get("media")
+      items: media
         .filter((item) => item.type === "show")
         .shuffle()
         .take(6),
@@ -312,33 +541,96 @@ module.exports.getCollectionByName = ({ name }) => {
   };
 };
 
-module.exports.getUserCollectionByName = ({ name, userToken }) => {
-  const getUserIdByToken = (token) => {
-    // On a real server you would query your db to find the user
-    return "userId1";
-  };
+const USER_COLLECTIONS = ["myFavorites"];
 
-  const usersMock = {
-    userId1: {
-      // randomly pick 4 episodes
-      myFavorites: db
-        .get("media")
-        .filter((item) => item.type === "episode")
-        .shuffle()
-        .take(4)
-        .map(({ id }) => ({ id }))
-        .value(),
-    },
-  };
+const getUserCollection = ({ name, userId }) =>
+  userCollectionsDb.get(["users", userId, name]);
 
-  const userId = getUserIdByToken(userToken);
-  const collections = {
-    myFavorites: {
-      items: db
-        .get("media")
-        .intersectionBy(usersMock[userId].myFavorites, "id"),
-    },
+module.exports.isUserCollection = (name) => _.includes(USER_COLLECTIONS, name);
+
+// order: "custom" (default - as stored), "insertion" or "recent"
+module.exports.getUserCollectionByName = ({
+  name,
+  userId,
+  order,
+  now = currentTime(),
+}) => {
+  if (!userId) return { items: [] };
+
+  userCollectionsDb.read();
+  let collection = getUserCollection({ name, userId }).value() || [];
+
+  if (order === "insertion") {
+    collection = _.sortBy(collection, "addedAt");
+  }
+
+  if (order === "recent") {
+    collection = _.orderBy(collection, ["addedAt"], ["desc"]);
+  }
+
+  const mediaById = _.keyBy(db.get("media").value(), "id");
+
+  return {
+    items: collection
+      .map(({ id }) => mediaById[id])
+      .filter(Boolean)
+      .map(withTimestamps(now))
+      .filter(isAvailableAt(now)),
   };
+};
+
+module.exports.addToUserCollection = async ({
+  name,
+  userId,
+  id,
+  position,
+  now = currentTime(),
+}) => {
+  if (!db.get("media").find({ id }).value()) return { added: false };
+
+  userCollectionsDb.read();
+  const collection = _.reject(
+    getUserCollection({ name, userId }).value(),
+    { id }
+  );
+  const index = _.isNil(position) ? collection.length : Number(position);
+
+  // an index of the collection, or its end
+  if (!Number.isInteger(index) || index < 0 || index > collection.length) {
+    return { added: false, invalidPosition: true };
+  }
+
+  collection.splice(index, 0, { id, addedAt: now.toMillis() });
+
+  await userCollectionsDb
+    .set(["users", userId, name], collection)
+    .write();
+  return { added: true };
+};
+
+module.exports.removeFromUserCollection = async ({ name, userId, id }) => {
+  userCollectionsDb.read();
+  const collection = getUserCollection({ name, userId }).value() || [];
+
+  if (!_.some(collection, { id })) return false;
+
+  await userCollectionsDb
+    .set(["users", userId, name], _.reject(collection, { id }))
+    .write();
+  return true;
+};
+
+// Moves the given ids to the top of the collection, in the given order
+module.exports.reorderUserCollection = async ({ name, userId, ids }) => {
+  userCollectionsDb.read();
+  const collection = getUserCollection({ name, userId }).value() || [];
+  const byId = _.keyBy(collection, "id");
+
+  const reordered = _.uniq(ids)
+    .filter((id) => byId[id])
+    .map((id) => byId[id]);
 
-  return { items: collections[name].items.value() };
+  await userCollectionsDb
+    .set(["users", userId, name], _.unionBy(reordered, collection, "id"))
+    .write();
 };
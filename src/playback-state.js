@@ -0,0 +1,126 @@
+const _ = require("lodash");
+const low = require("lowdb");
+const FileSync = require("lowdb/adapters/FileSync");
+
+const mockDb = require("./mock-db");
+
+const adapter = new FileSync("resume-watching.json", {
+  defaultValue: { events: [] },
+});
+const db = low(adapter);
+
+const EVENT_TYPES = {
+  STARTED: "com.applicaster.video.started.v1",
+  PROGRESS: "com.applicaster.video.progress.v1",
+  COMPLETED: "com.applicaster.video.completed.v1",
+  STOPPED: "com.applicaster.video.stopped.v1",
+};
+
+// Items watched past this point are considered as watched to the end
+const NEAR_COMPLETE_PROGRESS = 0.95;
+const MAX_ITEMS = 30;
+
+const isPlaybackEvent = (event) =>
+  _.includes(Object.values(EVENT_TYPES), event?.type);
+
+const recordEvent = async (event) => {
+  db.read();
+  await db.get("events").push(event).write();
+};
+
+// types - only the events of these types, all of them by default
+const getUserEvents = ({ userId, types }) => {
+  db.read();
+  return db.get("events").filter((event) => {
+    if (types && !_.includes(types, event?.type)) return false;
+
+    try {
+      return event.data.userIdentifier === userId;
+    } catch (error) {
+      return false;
+    }
+  });
+};
+
+// progress can be sent as a ratio (0-1) or a percentage (0-100)
+const normalizeProgress = ({ progress, secondsFromStart }, item) => {
+  if (!_.isNil(progress) && _.isFinite(Number(progress))) {
+    return Number(progress) > 1 ? Number(progress) / 100 : Number(progress);
+  }
+
+  if (item?.durationInSeconds && secondsFromStart) {
+    return Number(secondsFromStart) / item.durationInSeconds;
+  }
+
+  return 0;
+};
+
+// Latest playback state for each video the user played, most recent first
+const getLatestStates = ({ userId }) =>
+  getUserEvents({ userId })
+    .orderBy(["time"], ["desc"])
+    .uniqBy("data.videoId")
+    .map(({ type, time, data }) => ({
+      videoId: data.videoId,
+      time,
+      secondsFromStart: data.secondsFromStart,
+      progress: data.progress,
+      completed:
+        type === EVENT_TYPES.COMPLETED || data.status === "COMPLETED",
+    }))
+    .value();
+
+/**
+ * Continue watching rail:
+ * - one item per show - the most recently played episode
+ * - near complete items are dropped
+ * - a completed episode is replaced by the next episode of its show
+ */
+const getContinueWatching = ({ userId, now }) => {
+  const seenShows = new Set();
+
+  return getLatestStates({ userId })
+    .reduce((acc, state) => {
+      const item = mockDb.getMediaById(state.videoId, now);
+      if (!item) return acc;
+
+      if (item.showId) {
+        if (seenShows.has(item.showId)) return acc;
+        seenShows.add(item.showId);
+      }
+
+      const progress = normalizeProgress(state, item);
+      const completed = state.completed || progress >= NEAR_COMPLETE_PROGRESS;
+
+      if (!completed) {
+        acc.push({ item, state: { ...state, progress } });
+        return acc;
+      }
+
+      const nextEpisode =
+        item.type === "episode" && mockDb.getNextEpisode(item);
+
+      if (nextEpisode) {
+        acc.push({
+          item: nextEpisode,
+          state: {
+            time: state.time,
+            secondsFromStart: 0,
+            progress: 0,
+            previousVideoId: item.id,
+          },
+        });
+      }
+
+      return acc;
+    }, [])
+    .slice(0, MAX_ITEMS);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  isPlaybackEvent,
+  recordEvent,
+  getUserEvents,
+  getContinueWatching,
+};
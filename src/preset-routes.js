@@ -1,4 +1,8 @@
-const absoluteReqBasePath = process.env.BASE_URL || "http://localhost:3000/";
+const { absoluteReqBasePath, streamSrc } = require("./utils");
+
+const presetStreamSrc = streamSrc(
+  "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8"
+);
 
 module.exports.setup = (app) => {
   app.get("/preset-videos", (req, res) => {
@@ -8,7 +12,7 @@ module.exports.setup = (app) => {
         "entry": [
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -20,7 +24,7 @@ module.exports.setup = (app) => {
             },
             "id": "0c46a14e-64bc-4718-b9f1-e25185305e2c",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -54,7 +58,7 @@ module.exports.setup = (app) => {
           },
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -66,7 +70,7 @@ module.exports.setup = (app) => {
             },
             "id": "165eb159-02ff-4431-83ec-9b32041fab49",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -100,7 +104,7 @@ module.exports.setup = (app) => {
           },
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -112,7 +116,7 @@ module.exports.setup = (app) => {
             },
             "id": "4c77303f-7d65-43c6-b320-2dbd2ef21aa5",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -146,7 +150,7 @@ module.exports.setup = (app) => {
           },
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -158,7 +162,7 @@ module.exports.setup = (app) => {
             },
             "id": "6da52985-57dd-40d3-970c-cec268e068ad",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -192,7 +196,7 @@ module.exports.setup = (app) => {
           },
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -204,7 +208,7 @@ module.exports.setup = (app) => {
             },
             "id": "0869f6bb-cc9b-430b-b61b-98c3887a4f74",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -254,7 +258,7 @@ module.exports.setup = (app) => {
         "entry": [
           {
             "content": {
-              "src": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "src": presetStreamSrc,
               "type": "link"
             },
             "extensions": {
@@ -270,7 +274,7 @@ module.exports.setup = (app) => {
             },
             "id": "cb0355d4-1642-4892-a170-16ef41d6cc45",
             "link": {
-              "href": "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8",
+              "href": presetStreamSrc,
               "type": "link"
             },
             "media_group": [
@@ -0,0 +1,97 @@
+const _ = require("lodash");
+
+const { parseContext } = require("./utils");
+const { currentTime, startOfWeek } = require("./clock");
+
+const COUNTRY_ALIASES = { GB: "UK" };
+
+const GEO_ERROR_STATUS = 451;
+
+const normalizeCountryCode = (countryCode) => {
+  const code = _.toUpper(_.trim(countryCode));
+  return COUNTRY_ALIASES[code] || code || undefined;
+};
+
+// The ctx countryCode takes precedence over the X-Country-Code header.
+// Without both the content isn't geo filtered.
+const resolveCountryCode = (req) =>
+  normalizeCountryCode(parseContext(req.query.ctx, false).countryCode) ||
+  normalizeCountryCode(req.get("X-Country-Code"));
+
+const regionMiddleware = (req, res, next) => {
+  req.countryCode = resolveCountryCode(req);
+  res.vary("X-Country-Code");
+  next();
+};
+
+// Windows are relative to the start of the week, as the startsOn of the shows -
+// the week of the request clock
+const windowTimestamp = (offset, now) =>
+  offset && startOfWeek("UTC", now).plus(offset);
+
+/**
+ * Can the item be watched in the country?
+ * item.geo - { allowedCountries, blockedCountries, availability: { [country]: { from, to } } }
+ */
+const checkRegion = (item, countryCode, now = currentTime()) => {
+  const { allowedCountries, blockedCountries, availability } = item?.geo || {};
+
+  if (!countryCode) {
+    return { allowed: true };
+  }
+
+  if (
+    (allowedCountries && !_.includes(allowedCountries, countryCode)) ||
+    _.includes(blockedCountries, countryCode)
+  ) {
+    return { allowed: false, reason: "geo_blocked" };
+  }
+
+  const { from, to } = _.get(availability, countryCode, {});
+
+  if (from && now < windowTimestamp(from, now)) {
+    return {
+      allowed: false,
+      reason: "not_yet_available",
+      availableFrom: windowTimestamp(from, now).toMillis(),
+    };
+  }
+
+  if (to && now >= windowTimestamp(to, now)) {
+    return {
+      allowed: false,
+      reason: "no_longer_available",
+      availableTo: windowTimestamp(to, now).toMillis(),
+    };
+  }
+
+  return { allowed: true };
+};
+
+const isAvailableIn = (countryCode, now) => (item) =>
+  checkRegion(item, countryCode, now).allowed;
+
+// Replaces an entry that can't be watched in the requested country
+const renderGeoErrorEntry = (item, access, { countryCode, locale }) => ({
+  id: item.id,
+  title: locale.t("Not available in your region"),
+  type: {
+    value: "error",
+  },
+  extensions: {
+    error: {
+      status: GEO_ERROR_STATUS,
+      reason: access.reason,
+      countryCode,
+      ..._.pick(access, ["availableFrom", "availableTo"]),
+    },
+  },
+});
+
+module.exports = {
+  GEO_ERROR_STATUS,
+  regionMiddleware,
+  checkRegion,
+  isAvailableIn,
+  renderGeoErrorEntry,
+};
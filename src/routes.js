@@ -5,25 +5,47 @@ const {
   wrapEntryInFeed,
   createEntriesWithoutStream,
   responseForOutcome,
+  highlightMatches,
+  parseContext,
+  streamSrc,
 } = require("./utils");
 const _ = require("lodash");
-const base64url = require("base64url");
 const { DateTime } = require("luxon");
 const URI = require("urijs");
 const bodyParser = require("body-parser");
 const jsonParser = bodyParser.json();
 const mockDb = require("./mock-db");
+const { decodeCursor } = require("./cursor");
+const searchHistory = require("./search-history");
 const { miscFeeds } = require("./misc-feeds");
 
-const low = require("lowdb");
-const FileSync = require("lowdb/adapters/FileSync");
 const getLiveFeed = require("./live");
 const e = require("cors");
+const playbackState = require("./playback-state");
+const {
+  authenticate,
+  requireUser,
+  requireMatchingUserId,
+} = require("./auth");
+
+const {
+  renderEntitlementExtensions,
+  checkAccess,
+} = require("./entitlements");
+
+const { signStreamUrl, verifyStreamUrl } = require("./signed-urls");
+const { renderAdExtensions } = require("./ads");
+const { renderTrackExtensions } = require("./media-tracks");
+const { defaultLocale } = require("./i18n");
+const { renderAvailabilityExtensions } = require("./availability");
+const { currentTime } = require("./clock");
+const {
+  GEO_ERROR_STATUS,
+  checkRegion,
+  renderGeoErrorEntry,
+} = require("./regions");
 
-const adapter = new FileSync("resume-watching.json", {
-  defaultValue: { events: [] },
-});
-const db = low(adapter);
+const userRoute = [authenticate, requireUser];
 
 const SCREEN_TYPES = {
   EXAMPLE_EPISODE: "example-episode",
@@ -35,6 +57,10 @@ const SCREEN_TYPES = {
   EXAMPLE_SEASON: "example-season",
   EXAMPLE_MOVIE: "example-movie",
   FUTURE_PROGRAM: "example-future-program",
+  SEARCH_RESULTS: "example-search-results",
+  SEARCH_GROUP: "example-search-group",
+  SEARCH_FACET: "example-search-facet",
+  SEARCH_SUGGESTION: "example-search-suggestion",
 };
 
 const getFiltersFromRequestQuery = (query) => {
@@ -58,23 +84,61 @@ const getFiltersFromRequestQuery = (query) => {
   );
 };
 
+const getPagingFromRequestQuery = (query) => {
+  const paging = query.cursor ? "cursor" : query.paging;
+  const cursor = query.cursor ? decodeCursor(query.cursor) : undefined;
+
+  return { paging, cursor, invalidCursor: cursor === null };
+};
+
+// perPage is optional, but has to be a positive integer when set
+const isValidPerPage = (perPage) =>
+  perPage === undefined ||
+  (Number.isInteger(Number(perPage)) && Number(perPage) > 0);
+
+const getPaginationLinks = (
+  req,
+  { nextPage, previousPage, nextCursor, previousCursor }
+) => {
+  const linkTo = (key, value) => {
+    if (!value) return undefined;
+    const uri = new URI(absoluteReqPath(req));
+    if (key === "cursor") {
+      uri.removeQuery("page").setQuery("paging", "cursor");
+    }
+    return uri.setQuery(key, value).toString();
+  };
+
+  return {
+    next: linkTo("cursor", nextCursor) || linkTo("page", nextPage),
+    previous:
+      linkTo("cursor", previousCursor) || linkTo("page", previousPage),
+  };
+};
+
 const entryRenderers = {
-  movie: (movie) => {
+  movie: (movie, { locale = defaultLocale, now = currentTime() } = {}) => {
     const { title, id, summary, genre } = movie;
     return {
       id,
-      title,
+      title: locale.localize(title),
       type: {
         value: SCREEN_TYPES.EXAMPLE_MOVIE,
       },
-      summary,
+      summary: locale.localize(summary),
       extensions: {
         genre,
+        ...renderEntitlementExtensions(movie),
+        ...renderAdExtensions(movie),
+        ...renderAvailabilityExtensions(movie, { locale, now }),
       },
       ...renderDummyMediaGroup(movie),
     };
   },
-  episode: (episode, timeZoneOffset = "UTC") => {
+  episode: (
+    episode,
+    { locale = defaultLocale, timeZoneOffset = "UTC", now = currentTime() } = {}
+  ) => {
     const {
       id,
       title,
@@ -102,18 +166,18 @@ const entryRenderers = {
 
     return {
       id,
-      title,
-      summary,
+      title: locale.localize(title),
+      summary: locale.localize(summary),
       type: {
         value: SCREEN_TYPES.EXAMPLE_EPISODE,
       },
       content: {
-        src: streamURL,
+        src: streamSrc(streamURL),
         type: "video/hls",
       },
       extensions: {
-        cta,
-        label,
+        cta: locale.localize(cta),
+        label: locale.localize(label),
         genre,
         duration: durationInSeconds,
         showId,
@@ -122,14 +186,18 @@ const entryRenderers = {
         episodeNumber,
         relativeBroadcastDate:
           airTimestamp &&
-          DateTime.fromMillis(Number(airTimestamp)).toRelative(),
-        broadcastDate: DateTime.fromMillis(Number(airTimestamp))
-          .setZone(timeZoneOffset)
-          .toFormat("LLL dd, h:mma"),
+          locale.toRelative(DateTime.fromMillis(Number(airTimestamp)), now),
+        broadcastDate: locale.formatDate(
+          DateTime.fromMillis(Number(airTimestamp)).setZone(timeZoneOffset)
+        ),
         broadcastTimeSlot: `${fromHour}-${toHour}`,
         isLive,
         hqme: true, // make item downloadable
-        hqmeExpirationDate: DateTime.local().plus({ hours: 1 }).toMillis(),
+        hqmeExpirationDate: now.plus({ hours: 1 }).toMillis(),
+        ...renderEntitlementExtensions(episode),
+        ...renderAdExtensions(episode),
+        ...renderTrackExtensions(episode, { locale }),
+        ...renderAvailabilityExtensions(episode, { locale, now }),
         analyticsCustomProperties: {
           showId,
           genre,
@@ -142,7 +210,7 @@ const entryRenderers = {
     };
   },
 
-  show: (show) => {
+  show: (show, { locale = defaultLocale, now = currentTime() } = {}) => {
     const {
       id,
       title,
@@ -155,24 +223,25 @@ const entryRenderers = {
     } = show;
     const startsOn =
       startsOnTimestamp &&
-      `Starts On ${DateTime.fromMillis(Number(startsOnTimestamp)).toFormat(
-        "LLL dd, h:mma"
-      )}`;
+      locale.t("Starts On {date}", {
+        date: locale.formatDate(DateTime.fromMillis(Number(startsOnTimestamp))),
+      });
     return {
       id,
-      title,
-      summary,
+      title: locale.localize(title),
+      summary: locale.localize(summary),
       type: {
         value: startsOn
           ? SCREEN_TYPES.EXAMPLE_COMING_SOON_show
           : SCREEN_TYPES.EXAMPLE_SHOW,
       },
       extensions: {
-        cta,
-        label,
+        cta: locale.localize(cta),
+        label: locale.localize(label),
         genre,
         channel,
         startsOn,
+        ...renderAvailabilityExtensions(show, { locale, now }),
         analyticsCustomProperties: {
           channel,
           genre,
@@ -181,7 +250,7 @@ const entryRenderers = {
       ...renderDummyMediaGroup(show),
     };
   },
-  channel: (channel) => {
+  channel: (channel, { locale = defaultLocale } = {}) => {
     const { id, cta, label } = channel;
     return {
       id,
@@ -190,13 +259,13 @@ const entryRenderers = {
         value: SCREEN_TYPES.EXAMPLE_CHANNEL,
       },
       extensions: {
-        cta,
-        label,
+        cta: locale.localize(cta),
+        label: locale.localize(label),
       },
       ...renderChannelMediaGroupById(id),
     };
   },
-  genre: (genre) => {
+  genre: (genre, { locale = defaultLocale } = {}) => {
     const { id, cta, label } = genre;
     return {
       id,
@@ -205,12 +274,12 @@ const entryRenderers = {
         value: SCREEN_TYPES.EXAMPLE_GENRE,
       },
       extensions: {
-        cta,
-        label,
+        cta: locale.localize(cta),
+        label: locale.localize(label),
       },
     };
   },
-  season: (season) => {
+  season: (season, { locale = defaultLocale } = {}) => {
     const { id, cta, label } = season;
     return {
       id,
@@ -219,24 +288,15 @@ const entryRenderers = {
         value: SCREEN_TYPES.EXAMPLE_SEASON,
       },
       extensions: {
-        cta,
-        label,
+        cta: locale.localize(cta),
+        label: locale.localize(label),
       },
     };
   },
 };
 
-const parseContext = (ctx, logError = true) => {
-  try {
-    return JSON.parse(base64url.decode(ctx));
-  } catch (error) {
-    // Choose if you want to log ctx errors
-    if (logError) {
-      console.log(error);
-    }
-    return {};
-  }
-};
+// The request locale & clock
+const rendererOptions = (req) => ({ locale: req.locale, now: req.now });
 
 module.exports.setup = (app) => {
   /**
@@ -262,6 +322,20 @@ module.exports.setup = (app) => {
    *         schema:
    *           type: string
    *
+   *       - in: header
+   *         name: X-Country-Code
+   *         description: |
+   *           Filters the items by region (US, UK, FR or DE), as the countryCode context key.
+   *           An item requested by id that isn't available is returned as an `error` entry
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: now
+   *         description: Time travels the catalog (ISO date or unix millis) - the items out of their availability window are hidden
+   *         schema:
+   *           type: string
+   *
    *       - in: query
    *         name: byType
    *         schema:
@@ -327,6 +401,19 @@ module.exports.setup = (app) => {
    *           type: number
    *
    *       - in: query
+   *         name: paging
+   *         description: Set to `cursor` to paginate with opaque cursors (`next` & `previous` links) instead of page numbers
+   *         schema:
+   *           type: string
+   *           enum: [page, cursor]
+   *
+   *       - in: query
+   *         name: cursor
+   *         description: Cursor taken from a `next` / `previous` link (implies `paging=cursor`)
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
    *         name: overrideType
    *         description: Allow to override the screen type to all item entries
    *         schema:
@@ -349,21 +436,32 @@ module.exports.setup = (app) => {
     res.setHeader("Access-Control-Allow-Origin", "*");
     const filters = getFiltersFromRequestQuery(req.query);
     const sorts = req.query.sortBy ? req.query.sortBy.split(",") : [];
+    const { paging, cursor, invalidCursor } = getPagingFromRequestQuery(
+      req.query
+    );
 
-    const { items, nextPage } = mockDb.getMediaItems({
+    if (invalidCursor) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    if (!isValidPerPage(req.query.perPage)) {
+      return res.status(400).json({ error: "Invalid perPage" });
+    }
+
+    const { items, ...pagination } = mockDb.getMediaItems({
       q: req.query.q,
       filters,
       sorts,
       maxPage: req.query.maxPage,
       perPage: req.query.perPage,
       page: req.query.page,
+      paging,
+      cursor,
+      countryCode: req.countryCode,
+      now: req.now,
     });
 
-    let next;
-    if (nextPage) {
-      next = new URI(absoluteReqPath(req));
-      next.setQuery("page", nextPage);
-    }
+    const { next, previous } = getPaginationLinks(req, pagination);
 
     res.json({
       id: absoluteReqPath(req),
@@ -371,10 +469,15 @@ module.exports.setup = (app) => {
       type: {
         value: "feed",
       },
-      next: next && next.toString(),
+      next,
+      previous,
       entry: items
         .map((item) => {
-          return entryRenderers[item.type](item);
+          const access = checkRegion(item, req.countryCode, req.now);
+          if (!access.allowed) {
+            return renderGeoErrorEntry(item, access, req);
+          }
+          return entryRenderers[item.type](item, rendererOptions(req));
         })
         .map((item) => {
           //Overrides
@@ -391,6 +494,347 @@ module.exports.setup = (app) => {
     });
   });
 
+  /**
+   * @swagger
+   * /search:
+   *   get:
+   *     description: |
+   *        Ranked free text search over the media DB (shows, seasons, episodes, movies & channels)
+   *
+   *        Each entry is decorated with `extensions.searchScore` (1 is a perfect match)
+   *        and `extensions.highlights` (the matched fields with the matches wrapped in `<em>`)
+   *
+   *        Examples:
+   *
+   *          - Search everything: [/search?q=show 1](/search?q=show%201)
+   *          - Search only episodes: [/search?q=S2:E3&byType=episode](/search?q=S2:E3&byType=episode)
+   *          - Results grouped by type: [/search?q=show&groupBy=type](/search?q=show&groupBy=type)
+   *          - Typo tolerant: [/search?q=shwo&typoTolerance=high](/search?q=shwo&typoTolerance=high)
+   *          - Facets: [/search/facets?q=show](/search/facets?q=show)
+   *
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         description: Free text search.
+   *         required: true
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: byType
+   *         schema:
+   *           type: string
+   *           enum: [show, season, episode, movie, channel]
+   *
+   *       - in: query
+   *         name: byGenre
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: byChannel
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: typoTolerance
+   *         description: How fuzzy the matching is (defaults to medium)
+   *         schema:
+   *           type: string
+   *           enum: [none, low, medium, high]
+   *
+   *       - in: query
+   *         name: groupBy
+   *         description: |
+   *           Set to `type` to get one entry per result type, each linking to the feed of its results
+   *         schema:
+   *           type: string
+   *           enum: [type]
+   *
+   *       - in: query
+   *         name: page
+   *         description: Page number - (defaults to 1)
+   *         schema:
+   *           type: number
+   *
+   *       - in: query
+   *         name: perPage
+   *         description: Items per page (defaults to 20)
+   *         schema:
+   *           type: number
+   *
+   *     responses:
+   *       200:
+   *         description: Success
+   *
+   */
+  app.get("/search", async (req, res) => {
+    const { q, typoTolerance, groupBy } = req.query;
+    const filters = getFiltersFromRequestQuery(req.query);
+    const { userId } = parseContext(req.query.ctx, false);
+
+    res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+    // the queries of a user are recorded - a cached response would skip it
+    res.setHeader(
+      "Cache-Control",
+      userId ? "private, no-store" : "public, max-age=300"
+    );
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    if (!req.query.page) {
+      try {
+        await searchHistory.recordQuery({ userId, q, now: req.now });
+      } catch (error) {
+        console.log(error);
+
+        return res.status(500).end();
+      }
+    }
+
+    const { results, total, facets, ...pagination } = mockDb.searchMedia({
+      q,
+      filters,
+      typoTolerance,
+      perPage: req.query.perPage,
+      page: req.query.page,
+      countryCode: req.countryCode,
+      now: req.now,
+    });
+
+    if (groupBy === "type") {
+      res.json({
+        id: absoluteReqPath(req),
+        title: req.query.feedTitle || `Results for "${q || ""}"`,
+        type: {
+          value: SCREEN_TYPES.SEARCH_RESULTS,
+        },
+        extensions: { total },
+        entry: _.map(facets.type, (count, type) => {
+          const link = new URI(absoluteReqPath(req))
+            .removeQuery(["groupBy", "page"])
+            .setQuery("byType", type)
+            .toString();
+
+          return {
+            id: `search-group-${type}`,
+            title: type,
+            type: {
+              value: SCREEN_TYPES.SEARCH_GROUP,
+            },
+            link: { rel: "self", href: link, type: "feed" },
+            extensions: { count, resultType: type },
+          };
+        }),
+      });
+      return;
+    }
+
+    const { next, previous } = getPaginationLinks(req, pagination);
+
+    res.json({
+      id: absoluteReqPath(req),
+      title: req.query.feedTitle || `Results for "${q || ""}"`,
+      type: {
+        value: SCREEN_TYPES.SEARCH_RESULTS,
+      },
+      next,
+      previous,
+      extensions: {
+        total,
+        facetsFeed: new URI(absoluteReqPath(req))
+          .pathname("/search/facets")
+          .removeQuery(["page", "perPage", "groupBy"])
+          .toString(),
+      },
+      entry: results.map(({ item, score, matches }) => {
+        const entry = entryRenderers[item.type](item, rendererOptions(req));
+
+        entry.extensions = {
+          ...entry.extensions,
+          searchScore: _.round(1 - score, 3),
+          // fuse.js may return several matches of the same key
+          highlights: _.mapValues(_.groupBy(matches, "key"), (keyMatches) =>
+            highlightMatches(
+              keyMatches[0].value,
+              _.flatMap(keyMatches, "indices")
+            )
+          ),
+        };
+        return entry;
+      }),
+    });
+  });
+
+  /**
+   * @swagger
+   * /search/facets:
+   *   get:
+   *     description: |
+   *        Companion feed of /search - the facet counts (type, genre, channel) of the results of a search query.
+   *        Each entry links to the search results refined by its facet.
+   *
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         description: Free text search.
+   *         required: true
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: typoTolerance
+   *         schema:
+   *           type: string
+   *           enum: [none, low, medium, high]
+   *
+   *     responses:
+   *       200:
+   *         description: Success
+   *
+   */
+  app.get("/search/facets", (req, res) => {
+    res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    const { q, typoTolerance } = req.query;
+
+    const { facets } = mockDb.searchMedia({
+      q,
+      filters: {},
+      typoTolerance,
+      countryCode: req.countryCode,
+      now: req.now,
+    });
+
+    res.json({
+      id: absoluteReqPath(req),
+      title: req.query.feedTitle || "Refine",
+      type: {
+        value: "feed",
+      },
+      entry: _.flatMap(facets, (counts, facet) =>
+        _.map(counts, (count, value) => ({
+          id: `${facet}--${value}`,
+          title: value,
+          type: {
+            value: SCREEN_TYPES.SEARCH_FACET,
+          },
+          link: {
+            rel: "self",
+            type: "feed",
+            href: new URI(absoluteReqPath(req))
+              .pathname("/search")
+              .setQuery(`by${_.upperFirst(facet)}`, value)
+              .toString(),
+          },
+          extensions: { facet, value, count },
+        }))
+      ),
+    });
+  });
+
+  /**
+   * @swagger
+   * /search/suggest:
+   *   get:
+   *     description: |
+   *        Typeahead suggestions for the search box.
+   *
+   *        Returns the user's recent queries (`userId` context key), prefix & fuzzy matches
+   *        of titles, genres and channels, and the trending queries of the last 7 days.
+   *        Queries are recorded by the [/search](/search) endpoint.
+   *
+   *        The kind of each suggestion is in `extensions.suggestionType` (recent, prefix, fuzzy, trending)
+   *
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         description: The text typed so far - when empty only recent & trending queries are returned
+   *         schema:
+   *           type: string
+   *
+   *       - in: query
+   *         name: limit
+   *         description: Max number of title, genre & channel suggestions (defaults to 10)
+   *         schema:
+   *           type: number
+   *
+   *       - in: query
+   *         name: ctx
+   *         description: Supports the userId context key
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       200:
+   *         description: Success
+   *
+   */
+  app.get("/search/suggest", (req, res) => {
+    res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    const { q = "", limit } = req.query;
+    const { userId } = parseContext(req.query.ctx, false);
+    const query = _.trim(q).toLowerCase();
+
+    const matchesQuery = (term) => _.startsWith(term, query);
+
+    const recent = searchHistory
+      .getRecentQueries({ userId })
+      .filter(matchesQuery)
+      .map((term) => ({ term, suggestionType: "recent" }));
+
+    const suggestions = mockDb
+      .getSuggestions({
+        q,
+        limit: Number(_.defaultTo(limit, 10)),
+        countryCode: req.countryCode,
+        now: req.now,
+      })
+      .map(({ term, source, match }) => ({
+        term,
+        source,
+        suggestionType: match,
+      }));
+
+    const trending = searchHistory
+      .getTrendingQueries({ now: req.now })
+      .filter(({ query: term }) => matchesQuery(term))
+      .map(({ query: term, count }) => ({
+        term,
+        count,
+        suggestionType: "trending",
+      }));
+
+    res.json({
+      id: absoluteReqPath(req),
+      title: req.query.feedTitle || "Suggestions",
+      type: {
+        value: "feed",
+      },
+      // a term is suggested once, recent queries first
+      entry: _.uniqBy([...recent, ...suggestions, ...trending], ({ term }) =>
+        _.toLower(term)
+      ).map(({ term, ...extensions }) => ({
+        id: `${extensions.suggestionType}--${term}`,
+        title: term,
+        type: {
+          value: SCREEN_TYPES.SEARCH_SUGGESTION,
+        },
+        link: {
+          rel: "self",
+          type: "feed",
+          href: new URI(absoluteReqPath(req))
+            .pathname("/search")
+            .search({ q: term })
+            .toString(),
+        },
+        extensions,
+      })),
+    });
+  });
+
   /**
    * @swagger
    * /epg/days:
@@ -434,18 +878,18 @@ module.exports.setup = (app) => {
       id: absoluteReqPath(req),
       title: req.query.feedTitle || "EPG",
       entry: _.times(7).map((index) => {
-        const day = DateTime.local()
+        const day = req.now
           .setZone(timeZoneOffset || "UTC")
           .startOf(req.query.startToday === "true" ? "day" : "week")
           .plus({ days: index });
 
-        let title = day.toFormat("cccc");
+        let title = req.locale.formatDate(day, "cccc");
         if (req.query.startToday === "true" && index === 0) {
-          title = "Today";
+          title = req.locale.t("Today");
         }
 
         if (req.query.startToday === "true" && index === 1) {
-          title = "Tomorrow";
+          title = req.locale.t("Tomorrow");
         }
 
         return {
@@ -483,6 +927,12 @@ module.exports.setup = (app) => {
    *         description: Override the feed title
    *         schema:
    *           type: string
+   *
+   *       - in: header
+   *         name: X-Mock-Now
+   *         description: Mocks the current time (ISO date or unix millis) - for reproducible live / up next states
+   *         schema:
+   *           type: string
    * 
    *       - in: query
    *         name: ctx
@@ -593,6 +1043,19 @@ module.exports.setup = (app) => {
    *         schema:
    *           type: number
    *
+   *       - in: query
+   *         name: paging
+   *         description: Set to `cursor` to paginate with opaque cursors (`next` & `previous` links) instead of page numbers
+   *         schema:
+   *           type: string
+   *           enum: [page, cursor]
+   *
+   *       - in: query
+   *         name: cursor
+   *         description: Cursor taken from a `next` / `previous` link (implies `paging=cursor`)
+   *         schema:
+   *           type: string
+   *
    *
    *     responses:
    *       200:
@@ -616,22 +1079,31 @@ module.exports.setup = (app) => {
       futureForDay: req.query.futureForDay,
       nowAndOnwardsForToday: req.query.nowAndOnwardsForToday,
     };
+    const { paging, cursor, invalidCursor } = getPagingFromRequestQuery(
+      req.query
+    );
 
-    const { items, nextPage } = mockDb.getPrograms({
+    if (invalidCursor) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    if (!isValidPerPage(req.query.perPage)) {
+      return res.status(400).json({ error: "Invalid perPage" });
+    }
+
+    const { items, ...pagination } = mockDb.getPrograms({
+      now: req.now,
       timeZoneOffset: timeZoneOffset || "UTC",
       filters,
       epgFilters,
       maxPage: req.query.maxPage,
       perPage: req.query.perPage,
       page: req.query.page,
+      paging,
+      cursor,
     });
 
-    let next;
-    if (nextPage) {
-      next = new URI(absoluteReqPath(req));
-      console.log({ nextPage });
-      next.setQuery("page", nextPage);
-    }
+    const { next, previous } = getPaginationLinks(req, pagination);
 
     res.json({
       id: req.query.byChannel ? req.query.byChannel : absoluteReqPath(req),
@@ -639,12 +1111,13 @@ module.exports.setup = (app) => {
       type: {
         value: SCREEN_TYPES.EXAMPLE_EPG,
       },
-      next: next && next.toString(),
+      next,
+      previous,
       entry: items.map((item) => {
-        const entryItem = entryRenderers[item.type](
-          item,
-          timeZoneOffset || "UTC"
-        );
+        const entryItem = entryRenderers[item.type](item, {
+          ...rendererOptions(req),
+          timeZoneOffset: timeZoneOffset || "UTC",
+        });
         const isLive = entryItem.extensions.isLive;
 
         if (!isLive) {
@@ -688,6 +1161,7 @@ module.exports.setup = (app) => {
     res.setHeader("Access-Control-Allow-Origin", "*");
     const { items, type, id } = mockDb.getCollectionByName({
       name: req.params.collectionName,
+      now: req.now,
     });
 
     res.json({
@@ -697,7 +1171,7 @@ module.exports.setup = (app) => {
         value: type,
       },
       entry: items.map((item) => {
-        return entryRenderers[item.type](item);
+        return entryRenderers[item.type](item, rendererOptions(req));
       }),
     });
   });
@@ -715,6 +1189,19 @@ module.exports.setup = (app) => {
    *         description: Override the feed title
    *         schema:
    *           type: string
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: order
+   *         description: |
+   *           `custom` (default) - the order set by the user,
+   *           `insertion` - oldest first, `recent` - newest first
+   *         schema:
+   *           type: string
+   *           enum: [custom, insertion, recent]
    *       - in: path
    *         name: collectionName
    *         description: Predefined collection name
@@ -727,15 +1214,20 @@ module.exports.setup = (app) => {
    *         description: Success
    *
    */
-  app.get("/user/collections/:collectionName", (req, res) => {
+  app.get("/user/collections/:collectionName", userRoute, (req, res) => {
     res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
-    res.setHeader("Cache-Control", "public, max-age=300");
+    res.setHeader("Cache-Control", "no-cache");
     res.setHeader("Access-Control-Allow-Origin", "*");
-    const context = parseContext(req.query.ctx, false);
+
+    if (!mockDb.isUserCollection(req.params.collectionName)) {
+      return res.status(404).json({ error: "Unknown collection" });
+    }
 
     const { items } = mockDb.getUserCollectionByName({
       name: req.params.collectionName,
-      userToken: context.userToken,
+      userId: req.user.id,
+      order: req.query.order,
+      now: req.now,
     });
 
     res.json({
@@ -744,10 +1236,222 @@ module.exports.setup = (app) => {
       type: {
         value: "feed",
       },
-      entry: items,
+      entry: items.map((item) => {
+        return entryRenderers[item.type](item, rendererOptions(req));
+      }),
     });
   });
 
+  /**
+   * @swagger
+   * /user/collections/{collectionName}/items:
+   *   post:
+   *     description: |
+   *        Add an item to a user collection (user info from ctx).
+   *        Adding an item that is already in the collection moves it.
+   *
+   *     parameters:
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: collectionName
+   *         schema:
+   *           type: string
+   *           enum: [myFavorites]
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               id:
+   *                 type: string
+   *                 description: media item id
+   *               position:
+   *                 type: number
+   *                 description: (optional) index to insert the item at - defaults to the end
+   *
+   *     responses:
+   *       201:
+   *         description: Added
+   *       400:
+   *         description: The position isn't an index of the collection
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Unknown collection or media item
+   *
+   */
+  app.post(
+    "/user/collections/:collectionName/items",
+    userRoute,
+    jsonParser,
+    async (req, res) => {
+      try {
+        const { collectionName: name } = req.params;
+
+        if (!mockDb.isUserCollection(name)) {
+          return res.status(404).json({ error: "Unknown collection" });
+        }
+
+        const { added, invalidPosition } = await mockDb.addToUserCollection({
+          name,
+          userId: req.user.id,
+          id: req.body.id,
+          position: req.body.position,
+          now: req.now,
+        });
+
+        if (invalidPosition) {
+          return res.status(400).json({ error: "Invalid position" });
+        }
+
+        if (!added) {
+          return res.status(404).json({ error: "Unknown item" });
+        }
+
+        res.status(201).json({ id: req.body.id });
+      } catch (error) {
+        console.log(error);
+
+        res.status(500).end();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /user/collections/{collectionName}/items/{itemId}:
+   *   delete:
+   *     description: |
+   *        Remove an item from a user collection (user info from ctx)
+   *
+   *     parameters:
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: collectionName
+   *         schema:
+   *           type: string
+   *           enum: [myFavorites]
+   *       - in: path
+   *         name: itemId
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       204:
+   *         description: Removed
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Unknown collection or the item is not in the collection
+   *
+   */
+  app.delete(
+    "/user/collections/:collectionName/items/:itemId",
+    userRoute,
+    async (req, res) => {
+      try {
+        const { collectionName: name, itemId: id } = req.params;
+
+        if (!mockDb.isUserCollection(name)) {
+          return res.status(404).json({ error: "Unknown collection" });
+        }
+
+        const removed = await mockDb.removeFromUserCollection({
+          name,
+          userId: req.user.id,
+          id,
+        });
+
+        res.status(removed ? 204 : 404).end();
+      } catch (error) {
+        console.log(error);
+
+        res.status(500).end();
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /user/collections/{collectionName}/order:
+   *   put:
+   *     description: |
+   *        Set a custom order for a user collection (user info from ctx).
+   *        The given ids are moved to the top of the collection in the given order.
+   *
+   *     parameters:
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: collectionName
+   *         schema:
+   *           type: string
+   *           enum: [myFavorites]
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               ids:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *
+   *     responses:
+   *       204:
+   *         description: Reordered
+   *       401:
+   *         description: Unauthorized
+   *
+   */
+  app.put(
+    "/user/collections/:collectionName/order",
+    userRoute,
+    jsonParser,
+    async (req, res) => {
+      try {
+        const { collectionName: name } = req.params;
+
+        if (!mockDb.isUserCollection(name)) {
+          return res.status(404).json({ error: "Unknown collection" });
+        }
+
+        if (!_.isArray(req.body.ids)) {
+          return res.status(422).json({ error: "Expected an array of ids" });
+        }
+
+        await mockDb.reorderUserCollection({
+          name,
+          userId: req.user.id,
+          ids: req.body.ids,
+        });
+
+        res.status(204).end();
+      } catch (error) {
+        console.log(error);
+
+        res.status(500).end();
+      }
+    }
+  );
+
   // Test Context Keys endpoints
   app.get("/context-keys-test", (req, res) => {
     const { ctx, ...other } = req.query;
@@ -856,6 +1560,24 @@ module.exports.setup = (app) => {
     });
   });
 
+  // Looks for the entry in the download test entries and then in the media DB
+  // options - the entry renderer options
+  const findStreamEntry = (entryId, options) => {
+    const entries = require("./downloadEntries");
+    const entry = entries.all.find((e) => e.id === entryId);
+    if (entry) return { entry };
+
+    const item = mockDb.getMediaById(entryId, options.now);
+    if (item && _.includes(["episode", "movie"], item.type)) {
+      return {
+        entry: entryRenderers[item.type](item, options),
+        item,
+      };
+    }
+
+    return {};
+  };
+
   // This endpoint will return an entry's stream
   /**
    * @swagger
@@ -864,23 +1586,55 @@ module.exports.setup = (app) => {
    *     description: |
    *        returns an entry with a stream for a given id
    *
+   *        Entries of the media DB that require a subscription or a purchase
+   *        respond with 401 for logged out users and 403 for users that are not entitled
+   *
    *     parameters:
    *       - in: path
    *         name: entry_id
    *         description: id of the entry to return
    *         schema:
    *           type: "string"
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
    *
    *     responses:
    *       200:
    *         description: Success
+   *       401:
+   *         description: "{ error, reason: login_required }"
+   *       403:
+   *         description: "{ error, reason: subscription_required | purchase_required }"
+   *       451:
+   *         description: "{ error, reason: geo_blocked | not_yet_available | no_longer_available }"
    *
    */
-  app.get("/stream/:entry_id", (req, res) => {
+  app.get("/stream/:entry_id", authenticate, (req, res) => {
     const { entry_id } = req.params;
-    const entries = require("./downloadEntries");
+    const { entry = {}, item } = findStreamEntry(
+      entry_id,
+      rendererOptions(req)
+    );
+
+    const regionAccess = checkRegion(item, req.countryCode, req.now);
+
+    if (!regionAccess.allowed) {
+      return res.status(GEO_ERROR_STATUS).json({
+        error: req.locale.t("Not available in your region"),
+        reason: regionAccess.reason,
+      });
+    }
 
-    const entry = entries.all.find((e) => e.id === entry_id) || {};
+    const access = checkAccess(req.user, item);
+
+    if (!access.allowed) {
+      return res
+        .status(access.status)
+        .json({ error: "Not entitled", reason: access.reason });
+    }
 
     res.json(wrapEntryInFeed(entry));
   });
@@ -893,6 +1647,12 @@ module.exports.setup = (app) => {
    *     description: |
    *        simulates the response from a signing service
    *
+   *        `stream_src` is a time limited url signed with HMAC (`expires` & `token` query params)
+   *        served by /secure-stream/:entry_id. Call this endpoint again to re-sign.
+   *
+   *        Entries of the media DB that require a subscription or a purchase
+   *        respond with 401 for logged out users and 403 for users that are not entitled
+   *
    *     parameters:
    *       - in: path
    *         name: entry_id
@@ -905,22 +1665,47 @@ module.exports.setup = (app) => {
    *         scheme:
    *           type: "string"
    *           enum: [success, unauthorized, error, unprocessableEntity]
+   *       - in: query
+   *         name: ttl
+   *         description: |
+   *           (optional) validity of the signed url in seconds (defaults to 300).
+   *           Use 0 or a negative value to get an expired url
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
    *
    *     responses:
    *       200:
    *         description: Success
+   *       400:
+   *         description: Invalid ttl
    *
    */
-  app.get("/sign/:entry_id", (req, res) => {
+  app.get("/sign/:entry_id", authenticate, (req, res) => {
     const { entry_id } = req.params;
-    const entries = require("./downloadEntries");
 
-    const { outcome } = req.query;
+    const { outcome, ttl } = req.query;
 
-    const entry = entries.all.find((e) => e.id === entry_id);
+    if (ttl !== undefined && !Number.isFinite(Number(ttl))) {
+      return res.status(400).json({ error: "Invalid ttl" });
+    }
+
+    const { entry, item } = findStreamEntry(entry_id, rendererOptions(req));
+
+    if (!entry?.content) {
+      return res.status(404).json({ error: "Not found" });
+    }
 
-    if (!entry) {
-      res.status(404);
+    const access = checkAccess(req.user, item);
+
+    if (!access.allowed) {
+      return res
+        .status(access.status)
+        .json({ error: "Not entitled", reason: access.reason });
     }
 
     const status = responseForOutcome(outcome);
@@ -928,13 +1713,22 @@ module.exports.setup = (app) => {
     res.status(status);
 
     if (status === 200) {
+      const { url, expires } = signStreamUrl({
+        baseUrl: `${req.protocol}://${req.get("host")}/`,
+        entryId: entry_id,
+        ttl,
+        now: req.now,
+      });
+
       res.setHeader("content-type", "application/vnd.api+json");
-      res.json({
+      return res.json({
         data: {
           type: "video",
           id: 1,
           attributes: {
-            stream_src: entry.content.src,
+            stream_src: url,
+            expires_at: DateTime.fromSeconds(expires).toISO(),
+            server_time: req.now.toISO(),
           },
         },
       });
@@ -943,14 +1737,144 @@ module.exports.setup = (app) => {
     res.json({ error: new Error(outcome).message });
   });
 
-  app.post("/cloud-events", jsonParser, async (req, res) => {
+  /**
+   * @swagger
+   * /secure-stream/{entry_id}:
+   *   get:
+   *     description: |
+   *        Validates the signature & expiry of a url issued by /sign/:entry_id
+   *        and redirects to the entry stream.
+   *        Expiry allows for 30 seconds of clock skew (`STREAM_URL_CLOCK_SKEW`)
+   *
+   *     parameters:
+   *       - in: path
+   *         name: entry_id
+   *         schema:
+   *           type: "string"
+   *       - in: query
+   *         name: expires
+   *         description: expiry unix timestamp (seconds)
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: token
+   *         schema:
+   *           type: "string"
+   *
+   *     responses:
+   *       302:
+   *         description: Redirect to the stream
+   *       403:
+   *         description: "{ error, reason: invalid_signature | expired }"
+   *       404:
+   *         description: Not found
+   *
+   */
+  app.get("/secure-stream/:entry_id", (req, res) => {
+    const { entry_id } = req.params;
+    const { expires, token } = req.query;
+
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Server-Time", req.now.toISO());
+
+    const rejection = verifyStreamUrl({
+      entryId: entry_id,
+      expires,
+      token,
+      now: req.now,
+    });
+
+    if (rejection) {
+      return res
+        .status(403)
+        .json({ error: "Invalid stream url", reason: rejection });
+    }
+
+    const { entry } = findStreamEntry(entry_id, rendererOptions(req));
+
+    if (!entry?.content) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    res.redirect(302, entry.content.src);
+  });
+
+  /**
+   * @swagger
+   * /cloud-events:
+   *   post:
+   *     description: |
+   *        Collects the video playback cloud events used to compute the resume watching
+   *        and continue watching feeds.
+   *
+   *        Supported types: `com.applicaster.video.started.v1`, `com.applicaster.video.progress.v1`,
+   *        `com.applicaster.video.completed.v1` & `com.applicaster.video.stopped.v1`.
+   *        Other event types are ignored.
+   *
+   *        The events are stored for the logged in user - `data.userIdentifier` can be left out,
+   *        and has to be the user id when set.
+   *
+   *     parameters:
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               type:
+   *                 type: string
+   *               time:
+   *                 type: string
+   *               data:
+   *                 type: object
+   *                 properties:
+   *                   userIdentifier:
+   *                     type: string
+   *                   videoId:
+   *                     type: string
+   *                   secondsFromStart:
+   *                     type: number
+   *                   progress:
+   *                     type: number
+   *                   status:
+   *                     type: string
+   *
+   *     responses:
+   *       201:
+   *         description: Event stored
+   *       204:
+   *         description: Event ignored
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: The userIdentifier isn't the logged in user id
+   *
+   */
+  app.post("/cloud-events", userRoute, jsonParser, async (req, res) => {
     try {
-      if (req.body.type === "com.applicaster.video.stopped.v1") {
-        db.read();
-        await db.get("events").push(req.body).write();
+      if (!playbackState.isPlaybackEvent(req.body)) {
+        return res.status(204).end();
+      }
 
-        res.status(201).end();
+      const { userIdentifier } = req.body.data || {};
+
+      if (userIdentifier && userIdentifier !== req.user.id) {
+        return res.status(403).json({ error: "Forbidden" });
       }
+
+      await playbackState.recordEvent({
+        ...req.body,
+        data: { ...req.body.data, userIdentifier: req.user.id },
+      });
+
+      res.status(201).end();
     } catch (error) {
       console.log(error);
 
@@ -958,73 +1882,143 @@ module.exports.setup = (app) => {
     }
   });
 
-  app.get("/resume-watching", async (req, res) => {
-    const { userId } = req.query;
-    db.read();
-    const events = db
-      .get("events")
-      .filter((event) => {
-        try {
-          return event.data.userIdentifier === userId;
-        } catch (error) {
-          return false;
-        }
-      })
-      .orderBy(["time"], ["desc"])
-      .uniqBy("data.videoId")
-      .take(30);
+  // the resume endpoints only ever served the stopped events, the other
+  // playback events are for /continue-watching
+  const RESUME_EVENT_TYPES = [playbackState.EVENT_TYPES.STOPPED];
+
+  app.get(
+    "/resume-watching",
+    userRoute,
+    requireMatchingUserId,
+    async (req, res) => {
+      const userId = req.user.id;
+      const events = playbackState
+        .getUserEvents({ userId, types: RESUME_EVENT_TYPES })
+        .orderBy(["time"], ["desc"])
+        .uniqBy("data.videoId")
+        .take(30);
 
-    res.json({
-      entry: events.map((event) => ({
-        id: event.data.videoId,
-        extensions: {
-          resumeLastUpdate: event.time,
-          resumeTime: event.data.secondsFromStart,
-          progress: event.data.progress,
-          resumeCompleted: event.data.status === "COMPLETED" ? true : undefined,
-        },
-      })),
-    });
-  });
+      res.json({
+        entry: events.map((event) => ({
+          id: event.data.videoId,
+          extensions: {
+            resumeLastUpdate: event.time,
+            resumeTime: event.data.secondsFromStart,
+            progress: event.data.progress,
+            resumeCompleted:
+              event.data.status === "COMPLETED" ? true : undefined,
+          },
+        })),
+      });
+    }
+  );
 
-  app.get("/resume-watching-full", async (req, res) => {
-    const { userId } = req.query;
-    db.read();
-    const events = db
-      .get("events")
-      .filter((event) => {
-        try {
-          return event.data.userIdentifier === userId;
-        } catch (error) {
-          return false;
-        }
-      })
-      .orderBy(["time"], ["desc"])
-      .uniqBy("data.videoId")
-      .filter(({ data }) => data.status !== "COMPLETED")
-      .take(30);
+  app.get(
+    "/resume-watching-full",
+    userRoute,
+    requireMatchingUserId,
+    async (req, res) => {
+      const userId = req.user.id;
+      const events = playbackState
+        .getUserEvents({ userId, types: RESUME_EVENT_TYPES })
+        .orderBy(["time"], ["desc"])
+        .uniqBy("data.videoId")
+        .filter(({ data }) => data.status !== "COMPLETED")
+        .take(30);
+
+      const { items, nextPage } = mockDb.getMediaItems({
+        filters: {},
+        sorts: [],
+        perPage: 5000,
+        countryCode: req.countryCode,
+        now: req.now,
+      });
 
-    const { items, nextPage } = mockDb.getMediaItems({
-      filters: {},
-      sorts: [],
-      perPage: 5000,
-    });
+      const eventIds = events
+        .map((event) => ({ id: event.data.videoId }))
+        .value();
 
-    const eventIds = events
-      .map((event) => ({ id: event.data.videoId }))
-      .value();
+      res.json({
+        id: "resume-watching-full",
+        type: { value: "feed" },
+        entry: _.intersectionBy(items, eventIds, "id").map((item) => {
+          return entryRenderers[item.type](item, rendererOptions(req));
+        }),
+      });
+    }
+  );
 
-    res.json({
-      id: "resume-watching-full",
-      type: { value: "feed" },
-      entry: _.intersectionBy(items, eventIds, "id").map((item) => {
-        return entryRenderers[item.type](item);
-      }),
-    });
-  });
+  /**
+   * @swagger
+   * /continue-watching:
+   *   get:
+   *     description: |
+   *        Continue watching rail computed from the user playback cloud events.
+   *
+   *        Near complete items are dropped, and completed episodes are replaced by the next episode of the show
+   *        (`extensions.upNext` is set for those).
+   *
+   *     parameters:
+   *       - in: query
+   *         name: userId
+   *         description: (optional) The userIdentifier sent in the cloud events - must be the logged in user id
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: ctx
+   *         description: The userToken context key (or an Authorization header) - see /auth/login
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: feedTitle
+   *         description: Override the feed title
+   *         schema:
+   *           type: string
+   *
+   *     responses:
+   *       200:
+   *         description: Success
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: userId is not the logged in user
+   *
+   */
+  app.get(
+    "/continue-watching",
+    userRoute,
+    requireMatchingUserId,
+    async (req, res) => {
+      res.setHeader("content-type", "application/vnd+applicaster.pipes2+json");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      const userId = req.user.id;
+
+      res.json({
+        id: absoluteReqPath(req),
+        title: req.query.feedTitle || "Continue Watching",
+        type: { value: "feed" },
+        entry: playbackState
+          .getContinueWatching({ userId, now: req.now })
+          .map(({ item, state }) => {
+            const entry = entryRenderers[item.type](item, rendererOptions(req));
+
+            entry.extensions = {
+              ...entry.extensions,
+              resumeLastUpdate: state.time,
+              resumeTime: state.secondsFromStart,
+              progress: state.progress,
+              upNext: state.previousVideoId ? true : undefined,
+              previousVideoId: state.previousVideoId,
+            };
+            return entry;
+          }),
+      });
+    }
+  );
 
   app.get("/misc/:feedName", async (req, res) => {
-    res.json(miscFeeds[req.params.feedName]());
+    res.json(miscFeeds[req.params.feedName](req.locale));
   });
 
   // This endpoint will return a feed with live streams
@@ -0,0 +1,53 @@
+const _ = require("lodash");
+const low = require("lowdb");
+const FileSync = require("lowdb/adapters/FileSync");
+
+const { currentTime } = require("./clock");
+
+const adapter = new FileSync("search-history.json", {
+  defaultValue: { queries: [] },
+});
+const db = low(adapter);
+
+const TRENDING_WINDOW = { days: 7 };
+
+const normalizeQuery = (q) => _.trim(q).toLowerCase();
+
+const recordQuery = async ({ userId, q, now = currentTime() }) => {
+  const query = normalizeQuery(q);
+  if (!query) return;
+
+  db.read();
+  await db.get("queries").push({ userId, query, time: now.toMillis() }).write();
+};
+
+const getRecentQueries = ({ userId, limit = 5 }) => {
+  if (!userId) return [];
+
+  db.read();
+  return db
+    .get("queries")
+    .filter({ userId })
+    .orderBy(["time"], ["desc"])
+    .uniqBy("query")
+    .take(limit)
+    .map("query")
+    .value();
+};
+
+const getTrendingQueries = ({ limit = 5, now = currentTime() }) => {
+  const since = now.minus(TRENDING_WINDOW).toMillis();
+
+  db.read();
+  return db
+    .get("queries")
+    .filter(({ time }) => time >= since)
+    .countBy("query")
+    .toPairs()
+    .orderBy([1], ["desc"])
+    .take(limit)
+    .map(([query, count]) => ({ query, count }))
+    .value();
+};
+
+module.exports = { recordQuery, getRecentQueries, getTrendingQueries };
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const base64url = require("base64url");
+
+const { currentTime } = require("./clock");
+
+const streamUrlSecret =
+  process.env.STREAM_URL_SECRET || "pipes2-server-example";
+
+// The seconds of the env variable - 0 included, unlike with `||`
+const secondsFromEnv = (value, defaultSeconds) =>
+  value === undefined || value === "" || !Number.isFinite(Number(value))
+    ? defaultSeconds
+    : Number(value);
+
+const STREAM_URL_TTL = secondsFromEnv(process.env.STREAM_URL_TTL, 5 * 60);
+// Tolerance (in seconds) for expiry checks, so slightly skewed clocks still work
+const STREAM_URL_CLOCK_SKEW = secondsFromEnv(
+  process.env.STREAM_URL_CLOCK_SKEW,
+  30
+);
+
+const signature = (entryId, expires) =>
+  base64url.fromBase64(
+    crypto
+      .createHmac("sha256", streamUrlSecret)
+      .update(`${entryId}:${expires}`)
+      .digest("base64")
+  );
+
+const toSeconds = (dateTime) => Math.floor(dateTime.toSeconds());
+
+// ttl can be 0 or negative to get an already expired url
+const signStreamUrl = ({
+  baseUrl,
+  entryId,
+  ttl = STREAM_URL_TTL,
+  now = currentTime(),
+}) => {
+  const expires = toSeconds(now) + Number(ttl);
+  const url = new URL(`secure-stream/${encodeURIComponent(entryId)}`, baseUrl);
+
+  url.searchParams.set("expires", expires);
+  url.searchParams.set("token", signature(entryId, expires));
+
+  return {
+    url: url.toString(),
+    expires,
+  };
+};
+
+/**
+ * Returns the reason the url is rejected - "invalid_signature" or "expired",
+ * or undefined when it is valid
+ */
+const verifyStreamUrl = ({ entryId, expires, token, now = currentTime() }) => {
+  const expected = Buffer.from(signature(entryId, expires));
+  const actual = Buffer.from(String(token));
+
+  if (
+    !expires ||
+    // "NaN" would be signed as well, and never expire
+    !Number.isFinite(Number(expires)) ||
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return "invalid_signature";
+  }
+
+  if (Number(expires) + STREAM_URL_CLOCK_SKEW < toSeconds(now)) {
+    return "expired";
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  STREAM_URL_TTL,
+  STREAM_URL_CLOCK_SKEW,
+  signStreamUrl,
+  verifyStreamUrl,
+};
@@ -0,0 +1,244 @@
+// Minimal H.264 (constrained baseline) encoder.
+// IDR frames are made of uncompressed I_PCM macroblocks and the other frames
+// are P frames where every macroblock is skipped (a repeat of the IDR picture),
+// which is enough to produce a valid, decodable test pattern without any codec.
+
+const PROFILE_IDC = 66; // baseline
+const CONSTRAINT_FLAGS = 0xc0; // constraint_set0 & 1 - constrained baseline
+const LEVEL_IDC = 30;
+const LOG2_MAX_FRAME_NUM = 8;
+
+const NAL_TYPES = {
+  SLICE: 1,
+  IDR: 5,
+  SPS: 7,
+  PPS: 8,
+};
+
+const createBitWriter = () => {
+  const bytes = [];
+  let current = 0;
+  let bitCount = 0;
+
+  const writeBit = (bit) => {
+    current = (current << 1) | (bit & 1);
+    bitCount++;
+    if (bitCount === 8) {
+      bytes.push(current);
+      current = 0;
+      bitCount = 0;
+    }
+  };
+
+  const writeBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      writeBit(Math.floor(value / 2 ** i) % 2);
+    }
+  };
+
+  // Exp-Golomb
+  const writeUE = (value) => {
+    const length = Math.floor(Math.log2(value + 1));
+    writeBits(0, length);
+    writeBits(value + 1, length + 1);
+  };
+
+  const writeSE = (value) => writeUE(value <= 0 ? -2 * value : 2 * value - 1);
+
+  const isByteAligned = () => bitCount === 0;
+
+  const alignWithZeros = () => {
+    while (!isByteAligned()) writeBit(0);
+  };
+
+  const writeBytes = (buffer) => {
+    for (const byte of buffer) bytes.push(byte);
+  };
+
+  const writeTrailingBits = () => {
+    writeBit(1);
+    alignWithZeros();
+  };
+
+  return {
+    writeBit,
+    writeBits,
+    writeUE,
+    writeSE,
+    isByteAligned,
+    alignWithZeros,
+    writeBytes,
+    writeTrailingBits,
+    toBuffer: () => Buffer.from(bytes),
+  };
+};
+
+// Inserts emulation prevention bytes so the payload never contains a start code
+const toNalUnit = (type, refIdc, rbsp) => {
+  const bytes = [(refIdc << 5) | type];
+  let zeros = 0;
+
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      bytes.push(3);
+      zeros = 0;
+    }
+    bytes.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+
+  return Buffer.from(bytes);
+};
+
+const getMacroblockSize = ({ width, height }) => ({
+  widthInMbs: Math.ceil(width / 16),
+  heightInMbs: Math.ceil(height / 16),
+});
+
+const createSps = ({ width, height }) => {
+  const { widthInMbs, heightInMbs } = getMacroblockSize({ width, height });
+  const cropRight = (widthInMbs * 16 - width) / 2;
+  const cropBottom = (heightInMbs * 16 - height) / 2;
+  const writer = createBitWriter();
+
+  writer.writeBits(PROFILE_IDC, 8);
+  writer.writeBits(CONSTRAINT_FLAGS, 8);
+  writer.writeBits(LEVEL_IDC, 8);
+  writer.writeUE(0); // seq_parameter_set_id
+  writer.writeUE(LOG2_MAX_FRAME_NUM - 4);
+  writer.writeUE(2); // pic_order_cnt_type - output order is decoding order
+  writer.writeUE(1); // max_num_ref_frames
+  writer.writeBit(0); // gaps_in_frame_num_value_allowed_flag
+  writer.writeUE(widthInMbs - 1);
+  writer.writeUE(heightInMbs - 1);
+  writer.writeBit(1); // frame_mbs_only_flag
+  writer.writeBit(1); // direct_8x8_inference_flag
+  writer.writeBit(cropRight || cropBottom ? 1 : 0); // frame_cropping_flag
+  if (cropRight || cropBottom) {
+    writer.writeUE(0);
+    writer.writeUE(cropRight);
+    writer.writeUE(0);
+    writer.writeUE(cropBottom);
+  }
+  writer.writeBit(0); // vui_parameters_present_flag
+  writer.writeTrailingBits();
+
+  return toNalUnit(NAL_TYPES.SPS, 3, writer.toBuffer());
+};
+
+const createPps = () => {
+  const writer = createBitWriter();
+
+  writer.writeUE(0); // pic_parameter_set_id
+  writer.writeUE(0); // seq_parameter_set_id
+  writer.writeBit(0); // entropy_coding_mode_flag - CAVLC
+  writer.writeBit(0); // bottom_field_pic_order_in_frame_present_flag
+  writer.writeUE(0); // num_slice_groups_minus1
+  writer.writeUE(0); // num_ref_idx_l0_default_active_minus1
+  writer.writeUE(0); // num_ref_idx_l1_default_active_minus1
+  writer.writeBit(0); // weighted_pred_flag
+  writer.writeBits(0, 2); // weighted_bipred_idc
+  writer.writeSE(0); // pic_init_qp_minus26
+  writer.writeSE(0); // pic_init_qs_minus26
+  writer.writeSE(0); // chroma_qp_index_offset
+  writer.writeBit(0); // deblocking_filter_control_present_flag
+  writer.writeBit(0); // constrained_intra_pred_flag
+  writer.writeBit(0); // redundant_pic_cnt_present_flag
+  writer.writeTrailingBits();
+
+  return toNalUnit(NAL_TYPES.PPS, 3, writer.toBuffer());
+};
+
+/**
+ * picture - { width, height, y, u, v } planes in 4:2:0 (see ./pattern.js)
+ * Samples must not be 0 in I_PCM macroblocks.
+ */
+const createIdrSlice = (picture, idrPicId) => {
+  const { widthInMbs, heightInMbs } = getMacroblockSize(picture);
+  const writer = createBitWriter();
+
+  writer.writeUE(0); // first_mb_in_slice
+  writer.writeUE(7); // slice_type - I (all slices)
+  writer.writeUE(0); // pic_parameter_set_id
+  writer.writeBits(0, LOG2_MAX_FRAME_NUM); // frame_num
+  writer.writeUE(idrPicId % 65536);
+  writer.writeBit(0); // no_output_of_prior_pics_flag
+  writer.writeBit(0); // long_term_reference_flag
+  writer.writeSE(0); // slice_qp_delta
+
+  const sample = (plane, planeWidth, planeHeight, x, y) =>
+    plane[
+      Math.min(y, planeHeight - 1) * planeWidth + Math.min(x, planeWidth - 1)
+    ];
+
+  const chromaWidth = picture.width / 2;
+  const chromaHeight = picture.height / 2;
+
+  for (let mbY = 0; mbY < heightInMbs; mbY++) {
+    for (let mbX = 0; mbX < widthInMbs; mbX++) {
+      writer.writeUE(25); // mb_type - I_PCM
+      writer.alignWithZeros();
+
+      const pcm = [];
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) {
+          pcm.push(
+            sample(
+              picture.y,
+              picture.width,
+              picture.height,
+              mbX * 16 + x,
+              mbY * 16 + y
+            )
+          );
+        }
+      }
+      [picture.u, picture.v].forEach((plane) => {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            pcm.push(
+              sample(plane, chromaWidth, chromaHeight, mbX * 8 + x, mbY * 8 + y)
+            );
+          }
+        }
+      });
+      writer.writeBytes(pcm);
+    }
+  }
+  writer.writeTrailingBits();
+
+  return toNalUnit(NAL_TYPES.IDR, 3, writer.toBuffer());
+};
+
+// A P frame that repeats the previous picture
+const createSkippedSlice = ({ width, height }, frameNum) => {
+  const { widthInMbs, heightInMbs } = getMacroblockSize({ width, height });
+  const writer = createBitWriter();
+
+  writer.writeUE(0); // first_mb_in_slice
+  writer.writeUE(5); // slice_type - P (all slices)
+  writer.writeUE(0); // pic_parameter_set_id
+  writer.writeBits(frameNum % 2 ** LOG2_MAX_FRAME_NUM, LOG2_MAX_FRAME_NUM);
+  writer.writeBit(0); // num_ref_idx_active_override_flag
+  writer.writeBit(0); // ref_pic_list_modification_flag_l0
+  writer.writeBit(0); // adaptive_ref_pic_marking_mode_flag
+  writer.writeSE(0); // slice_qp_delta
+  writer.writeUE(widthInMbs * heightInMbs); // mb_skip_run
+  writer.writeTrailingBits();
+
+  return toNalUnit(NAL_TYPES.SLICE, 2, writer.toBuffer());
+};
+
+// avc1.PPCCLL codec string for playlists
+const getCodecString = () =>
+  `avc1.${[PROFILE_IDC, CONSTRAINT_FLAGS, LEVEL_IDC]
+    .map((value) => value.toString(16).padStart(2, "0").toUpperCase())
+    .join("")}`;
+
+module.exports = {
+  createSps,
+  createPps,
+  createIdrSlice,
+  createSkippedSlice,
+  getCodecString,
+};
@@ -0,0 +1,428 @@
+const _ = require("lodash");
+const { DateTime } = require("luxon");
+
+const h264 = require("./h264");
+const { createInitSegment, createMediaSegment } = require("./mp4");
+const { createPicture } = require("./pattern");
+const {
+  SEGMENT_KINDS,
+  MAX_CYCLE_LENGTH,
+  getCycleLength,
+  createSchedule,
+} = require("./schedule");
+const {
+  MODES,
+  renderMasterPlaylist,
+  renderHlsMediaPlaylist,
+  renderDashManifest,
+} = require("./playlists");
+const { absoluteReqBasePath } = require("../utils");
+
+const STREAM = {
+  width: 320,
+  height: 180,
+  frameRate: 25,
+  segmentDuration: 4, // seconds
+  timescale: 90000,
+  bandwidth: 250000,
+  codecs: h264.getCodecString(),
+};
+
+const MAX_SEGMENT_DURATION = 10;
+const DEFAULT_VOD_DURATION = 60; // seconds
+const DEFAULT_EVENT_DURATION = 60 * 60;
+const DEFAULT_DVR_WINDOW = 60;
+const MAX_CLIP_DURATION = 120;
+// the playlists have a line per segment, long ones would use up the memory
+const MAX_STREAM_DURATION = 6 * 60 * 60;
+const MAX_DVR_WINDOW = 2 * 60 * 60;
+const SEGMENT_CACHE_SIZE = 30;
+
+// Query params that change the segments, forwarded to the segment urls
+const SEGMENT_PARAMS = [
+  "segmentDuration",
+  "adInterval",
+  "adDuration",
+  "offlineInterval",
+  "offlineDuration",
+];
+
+const sps = h264.createSps(STREAM);
+const pps = h264.createPps();
+const initSegment = createInitSegment({ ...STREAM, sps, pps });
+
+const segmentCache = new Map();
+
+// Every segment starts with an IDR frame showing the segment number, the
+// other frames repeat it. The progress bar shows the position in the minute.
+const createSegment = ({ stream, index, kind }) => {
+  const { frameRate, segmentDuration, timescale } = stream;
+  const cacheKey = `${segmentDuration}:${kind}:${index}`;
+
+  if (segmentCache.has(cacheKey)) {
+    return segmentCache.get(cacheKey);
+  }
+
+  const frameCount = segmentDuration * frameRate;
+  const frameDuration = timescale / frameRate;
+  const picture = createPicture({
+    ...stream,
+    index,
+    kind,
+    progress: ((index * segmentDuration) % 60) / 60,
+  });
+
+  const samples = [];
+  for (let frame = 0; frame < frameCount; frame++) {
+    samples.push({
+      nalUnits: [
+        frame === 0
+          ? h264.createIdrSlice(picture, index)
+          : h264.createSkippedSlice(stream, frame),
+      ],
+      duration: frameDuration,
+      isSync: frame === 0,
+    });
+  }
+
+  const segment = createMediaSegment({
+    sequenceNumber: index + 1,
+    baseMediaDecodeTime: index * segmentDuration * timescale,
+    samples,
+  });
+
+  segmentCache.set(cacheKey, segment);
+  if (segmentCache.size > SEGMENT_CACHE_SIZE) {
+    segmentCache.delete(segmentCache.keys().next().value);
+  }
+
+  return segment;
+};
+
+const stringifyQuery = (query) =>
+  _.isEmpty(query) ? "" : `?${new URLSearchParams(query)}`;
+
+const getSegmentDuration = (query) =>
+  _.clamp(
+    Math.round(Number(query.segmentDuration)) || STREAM.segmentDuration,
+    1,
+    MAX_SEGMENT_DURATION
+  );
+
+const getSegmentOptions = (query) => {
+  const segmentDuration = getSegmentDuration(query);
+  const stream = { ...STREAM, segmentDuration };
+
+  return {
+    stream,
+    schedule: createSchedule({ ...query, segmentDuration }),
+    segmentQuery: stringifyQuery(_.pick(query, SEGMENT_PARAMS)),
+  };
+};
+
+const getPlaylistOptions = (req) => {
+  const { mode } = req.params;
+  const { stream, schedule, segmentQuery } = getSegmentOptions(req.query);
+  // the request clock - X-Mock-Now moves the live edge too
+  const now = req.now.toSeconds();
+  const duration =
+    Number(req.query.duration) ||
+    (mode === MODES.EVENT ? DEFAULT_EVENT_DURATION : DEFAULT_VOD_DURATION);
+  const dvrWindow = Number(req.query.dvrWindow) || DEFAULT_DVR_WINDOW;
+
+  return {
+    stream,
+    schedule,
+    segmentQuery,
+    mode,
+    now,
+    duration,
+    // events start at the beginning of the current hour by default
+    start:
+      Number(req.query.start) ||
+      DateTime.fromSeconds(now).startOf("hour").toSeconds(),
+    windowSize: Math.max(1, Math.ceil(dvrWindow / stream.segmentDuration)),
+  };
+};
+
+const isOffline = ({ mode, now, stream, schedule }) =>
+  mode !== MODES.VOD &&
+  schedule.getSegmentKind(Math.floor(now / stream.segmentDuration)) ===
+    SEGMENT_KINDS.OFFLINE;
+
+const setPlaylistHeaders = (req, res, contentType) => {
+  res.setHeader("content-type", contentType);
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader(
+    "Cache-Control",
+    req.params.mode === MODES.VOD ? "public, max-age=300" : "no-cache"
+  );
+};
+
+// Live & event playlists are not found while the stream is offline
+const sendPlaylist = (req, res, { contentType, options, render }) => {
+  if (isOffline(options)) {
+    return res.status(404).json({ error: "Stream is offline" });
+  }
+
+  setPlaylistHeaders(req, res, contentType);
+  res.send(render(options));
+};
+
+const validateMode = (req, res, next) => {
+  if (!Object.values(MODES).includes(req.params.mode)) {
+    return res.status(404).json({ error: "Unknown stream mode" });
+  }
+  next();
+};
+
+// The max value of the query params in seconds - they have to be positive
+const QUERY_LIMITS = {
+  duration: MAX_STREAM_DURATION,
+  dvrWindow: MAX_DVR_WINDOW,
+};
+
+const validateQuery = (req, res, next) => {
+  const invalidParam = _.find(_.keys(QUERY_LIMITS), (param) => {
+    if (req.query[param] === undefined) return false;
+
+    const value = Number(req.query[param]);
+    return !(value > 0 && value <= QUERY_LIMITS[param]);
+  });
+
+  if (invalidParam) {
+    return res.status(400).json({ error: `Invalid ${invalidParam}` });
+  }
+
+  // the ad breaks & offline periods have to repeat within MAX_CYCLE_LENGTH
+  // segments, to be scheduled
+  const segmentDuration = getSegmentDuration(req.query);
+  if (getCycleLength({ ...req.query, segmentDuration }) > MAX_CYCLE_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: "Invalid adInterval or offlineInterval" });
+  }
+  next();
+};
+
+const playlistRoute = [validateMode, validateQuery];
+
+const sendMp4 = (res, buffer) => {
+  res.setHeader("content-type", "video/mp4");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  // segments are generated deterministically, they never change
+  res.setHeader("Cache-Control", "public, max-age=86400, immutable");
+  res.send(buffer);
+};
+
+module.exports.setup = (app) => {
+  /**
+   * @swagger
+   * /streams/{mode}/master.m3u8:
+   *  get:
+   *    description: HLS master playlist of a stream generated by the server
+   *      (a test pattern showing the segment number), for playback tests that
+   *      don't need the network
+   *
+   *    parameters:
+   *     - in: path
+   *       name: mode
+   *       description: vod, live (sliding window) or event
+   *       schema:
+   *        type: "string"
+   *       required: true
+   *
+   *     - in: query
+   *       name: duration
+   *       description: duration in seconds of vod & event streams (up to 6 hours)
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 60 for vod, 3600 for event
+   *
+   *     - in: query
+   *       name: start
+   *       description: unix timestamp (seconds) of the event start
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: the beginning of the current hour
+   *
+   *     - in: query
+   *       name: dvrWindow
+   *       description: seconds of a live stream that can be played back (up to 2 hours)
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 60
+   *
+   *     - in: query
+   *       name: segmentDuration
+   *       description: segment duration in seconds (1-10)
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *       default: 4
+   *
+   *     - in: query
+   *       name: adInterval
+   *       description: seconds between the start of 2 ad breaks. Ad breaks
+   *        are surrounded by discontinuities
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *
+   *     - in: query
+   *       name: adDuration
+   *       description: duration in seconds of the ad breaks
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *
+   *     - in: query
+   *       name: offlineInterval
+   *       description: seconds between the start of 2 offline periods. Live
+   *        & event playlists respond 404 while the stream is offline
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *
+   *     - in: query
+   *       name: offlineDuration
+   *       description: duration in seconds of the offline periods
+   *       schema:
+   *        type: "number"
+   *       required: false
+   *
+   *    responses:
+   *      200:
+   *       description: HLS master playlist
+   *      400:
+   *       description: |
+   *         Invalid duration or dvrWindow, or adInterval & offlineInterval
+   *         that don't repeat within 100000 segments
+   *      404:
+   *       description: The stream is offline
+   */
+  app.get("/streams/:mode/master.m3u8", playlistRoute, (req, res) => {
+    const queryIndex = req.originalUrl.indexOf("?");
+
+    sendPlaylist(req, res, {
+      contentType: "application/vnd.apple.mpegurl",
+      options: getPlaylistOptions(req),
+      render: ({ stream }) =>
+        renderMasterPlaylist({
+          stream,
+          query: queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : "",
+        }),
+    });
+  });
+
+  /**
+   * @swagger
+   * /streams/{mode}/media.m3u8:
+   *  get:
+   *    description: HLS media playlist, takes the master playlist parameters
+   *
+   *    responses:
+   *      200:
+   *       description: HLS media playlist
+   *      404:
+   *       description: The stream is offline
+   */
+  app.get("/streams/:mode/media.m3u8", playlistRoute, (req, res) => {
+    sendPlaylist(req, res, {
+      contentType: "application/vnd.apple.mpegurl",
+      options: getPlaylistOptions(req),
+      render: renderHlsMediaPlaylist,
+    });
+  });
+
+  /**
+   * @swagger
+   * /streams/{mode}/manifest.mpd:
+   *  get:
+   *    description: DASH manifest of the generated stream (vod & live only),
+   *      takes the master playlist parameters
+   *
+   *    responses:
+   *      200:
+   *       description: DASH manifest
+   *      404:
+   *       description: DASH is not available for event streams, or the
+   *        stream is offline
+   */
+  app.get("/streams/:mode/manifest.mpd", playlistRoute, (req, res) => {
+    if (req.params.mode === MODES.EVENT) {
+      return res
+        .status(404)
+        .json({ error: "DASH is not available for event streams" });
+    }
+
+    sendPlaylist(req, res, {
+      contentType: "application/dash+xml",
+      options: {
+        ...getPlaylistOptions(req),
+        timeUrl: `${absoluteReqBasePath}streams/time`,
+      },
+      render: renderDashManifest,
+    });
+  });
+
+  app.get("/streams/:mode/init.mp4", validateMode, (req, res) => {
+    sendMp4(res, initSegment);
+  });
+
+  app.get("/streams/:mode/segment-:index.m4s", playlistRoute, (req, res) => {
+    const index = Number(req.params.index);
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(404).json({ error: "Segment not found" });
+    }
+
+    const { stream, schedule } = getSegmentOptions(req.query);
+
+    sendMp4(
+      res,
+      createSegment({ stream, index, kind: schedule.getSegmentKind(index) })
+    );
+  });
+
+  /**
+   * @swagger
+   * /streams/vod/clip.mp4:
+   *  get:
+   *    description: The vod stream as a single (fragmented) mp4 file, for
+   *      players that don't support HLS or DASH - i.e. ad creatives. Takes the
+   *      master playlist parameters
+   *
+   *    responses:
+   *      200:
+   *       description: mp4 file
+   */
+  app.get("/streams/vod/clip.mp4", validateQuery, (req, res) => {
+    const { stream, schedule } = getSegmentOptions(req.query);
+    const duration = Math.min(
+      Number(req.query.duration) || DEFAULT_VOD_DURATION,
+      MAX_CLIP_DURATION
+    );
+    const segmentCount = Math.ceil(duration / stream.segmentDuration);
+
+    sendMp4(
+      res,
+      Buffer.concat([
+        initSegment,
+        ..._.range(segmentCount).map((index) =>
+          createSegment({ stream, index, kind: schedule.getSegmentKind(index) })
+        ),
+      ])
+    );
+  });
+
+  // Clock used by the DASH players to sync with live streams
+  app.get("/streams/time", (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cache-Control", "no-cache");
+    res.type("text/plain").send(req.now.toUTC().toISO());
+  });
+};
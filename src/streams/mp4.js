@@ -0,0 +1,243 @@
+// Fragmented MP4 (CMAF) boxes for a single video track - shared by HLS & DASH
+
+const TRACK_ID = 1;
+
+const uint8 = (value) => Buffer.from([value & 0xff]);
+
+const uint16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+};
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+};
+
+const zeros = (length) => Buffer.alloc(length);
+
+const box = (type, ...payload) => {
+  const content = Buffer.concat(payload);
+  return Buffer.concat([
+    uint32(content.length + 8),
+    Buffer.from(type, "ascii"),
+    content,
+  ]);
+};
+
+const fullBox = (type, version, flags, ...payload) =>
+  box(
+    type,
+    uint8(version),
+    uint8(flags >> 16),
+    uint16(flags & 0xffff),
+    ...payload
+  );
+
+const MATRIX = Buffer.concat(
+  [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000].map(uint32)
+);
+
+const avcC = ({ sps, pps }) =>
+  box(
+    "avcC",
+    uint8(1), // configurationVersion
+    sps.slice(1, 4), // profile, compatibility & level
+    uint8(0xff), // 4 bytes NAL unit lengths
+    uint8(0xe1), // 1 SPS
+    uint16(sps.length),
+    sps,
+    uint8(1), // 1 PPS
+    uint16(pps.length),
+    pps
+  );
+
+const avc1 = ({ width, height, sps, pps }) =>
+  box(
+    "avc1",
+    zeros(6),
+    uint16(1), // data_reference_index
+    zeros(16),
+    uint16(width),
+    uint16(height),
+    uint32(0x00480000), // 72 dpi
+    uint32(0x00480000),
+    zeros(4),
+    uint16(1), // frame_count
+    zeros(32), // compressorname
+    uint16(0x18), // depth
+    uint16(0xffff),
+    avcC({ sps, pps })
+  );
+
+const createInitSegment = ({ width, height, timescale, sps, pps }) =>
+  Buffer.concat([
+    box(
+      "ftyp",
+      Buffer.from("iso6", "ascii"),
+      uint32(0),
+      Buffer.from("iso6cmfcavc1mp41", "ascii")
+    ),
+    box(
+      "moov",
+      fullBox(
+        "mvhd",
+        0,
+        0,
+        zeros(8), // creation & modification time
+        uint32(1000),
+        uint32(0), // duration - fragmented
+        uint32(0x00010000), // rate
+        uint16(0x0100), // volume
+        zeros(10),
+        MATRIX,
+        zeros(24),
+        uint32(TRACK_ID + 1) // next_track_ID
+      ),
+      box(
+        "trak",
+        fullBox(
+          "tkhd",
+          0,
+          0x000003, // enabled & in movie
+          zeros(8),
+          uint32(TRACK_ID),
+          zeros(4),
+          uint32(0), // duration
+          zeros(8),
+          uint16(0), // layer
+          uint16(0), // alternate_group
+          uint16(0), // volume
+          zeros(2),
+          MATRIX,
+          uint32(width << 16),
+          uint32(height << 16)
+        ),
+        box(
+          "mdia",
+          fullBox(
+            "mdhd",
+            0,
+            0,
+            zeros(8),
+            uint32(timescale),
+            uint32(0),
+            uint16(0x55c4), // language - und
+            zeros(2)
+          ),
+          fullBox(
+            "hdlr",
+            0,
+            0,
+            zeros(4),
+            Buffer.from("vide", "ascii"),
+            zeros(12),
+            Buffer.from("VideoHandler\0", "ascii")
+          ),
+          box(
+            "minf",
+            fullBox("vmhd", 0, 1, zeros(8)),
+            box(
+              "dinf",
+              fullBox("dref", 0, 0, uint32(1), fullBox("url ", 0, 1))
+            ),
+            box(
+              "stbl",
+              fullBox(
+                "stsd",
+                0,
+                0,
+                uint32(1),
+                avc1({ width, height, sps, pps })
+              ),
+              fullBox("stts", 0, 0, uint32(0)),
+              fullBox("stsc", 0, 0, uint32(0)),
+              fullBox("stsz", 0, 0, uint32(0), uint32(0)),
+              fullBox("stco", 0, 0, uint32(0))
+            )
+          )
+        )
+      ),
+      box(
+        "mvex",
+        fullBox(
+          "trex",
+          0,
+          0,
+          uint32(TRACK_ID),
+          uint32(1), // default_sample_description_index
+          uint32(0),
+          uint32(0),
+          uint32(0)
+        )
+      )
+    ),
+  ]);
+
+const SYNC_SAMPLE_FLAGS = 0x02000000; // does not depend on other samples
+const NON_SYNC_SAMPLE_FLAGS = 0x01010000; // depends on others, non sync
+
+/**
+ * samples - [{ nalUnits: [Buffer], duration, isSync }]
+ * baseMediaDecodeTime - in timescale units
+ */
+const createMediaSegment = ({
+  sequenceNumber,
+  baseMediaDecodeTime,
+  samples,
+}) => {
+  const sampleData = samples.map(({ nalUnits }) =>
+    Buffer.concat(
+      nalUnits.flatMap((nalUnit) => [uint32(nalUnit.length), nalUnit])
+    )
+  );
+
+  const moof = (dataOffset) =>
+    box(
+      "moof",
+      fullBox("mfhd", 0, 0, uint32(sequenceNumber)),
+      box(
+        "traf",
+        fullBox("tfhd", 0, 0x020000, uint32(TRACK_ID)), // default-base-is-moof
+        fullBox("tfdt", 1, 0, uint64(baseMediaDecodeTime)),
+        fullBox(
+          "trun",
+          0,
+          0x000701, // data offset, sample duration, size & flags
+          uint32(samples.length),
+          uint32(dataOffset),
+          ...samples.map(({ duration, isSync }, index) =>
+            Buffer.concat([
+              uint32(duration),
+              uint32(sampleData[index].length),
+              uint32(isSync ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS),
+            ])
+          )
+        )
+      )
+    );
+
+  // the data offset is relative to the moof start, its size doesn't depend on it
+  const moofSize = moof(0).length;
+
+  return Buffer.concat([
+    box(
+      "styp",
+      Buffer.from("msdh", "ascii"),
+      uint32(0),
+      Buffer.from("msdh", "ascii")
+    ),
+    moof(moofSize + 8),
+    box("mdat", ...sampleData),
+  ]);
+};
+
+module.exports = { createInitSegment, createMediaSegment };
@@ -0,0 +1,132 @@
+const { SEGMENT_KINDS } = require("./schedule");
+
+// Test pattern pictures (YUV 4:2:0) - a colored background per segment,
+// with the segment number and a progress bar. Ad breaks are gray with an
+// "AD" label and offline periods are a black slate.
+
+// [y, u, v]
+const PALETTE = [
+  [81, 90, 240], // red
+  [145, 54, 34], // green
+  [41, 240, 110], // blue
+  [210, 16, 146], // yellow
+  [170, 166, 16], // cyan
+  [106, 202, 222], // magenta
+];
+
+const AD_BACKGROUND = [128, 128, 128];
+const OFFLINE_BACKGROUND = [16, 128, 128];
+
+const BLACK = 16;
+const WHITE = 235;
+const NEUTRAL_CHROMA = 128;
+
+// 3x5 digits & letters
+const FONT = {
+  A: ["010", "101", "111", "101", "101"],
+  D: ["110", "101", "101", "101", "110"],
+  0: ["111", "101", "101", "101", "111"],
+  1: ["010", "110", "010", "010", "111"],
+  2: ["111", "001", "111", "100", "111"],
+  3: ["111", "001", "111", "001", "111"],
+  4: ["101", "101", "111", "001", "001"],
+  5: ["111", "100", "111", "001", "111"],
+  6: ["111", "100", "111", "101", "111"],
+  7: ["111", "001", "010", "010", "010"],
+  8: ["111", "101", "111", "101", "111"],
+  9: ["111", "101", "111", "001", "111"],
+};
+
+const fillRect = (picture, { x, y, width, height, luma, chroma }) => {
+  for (let row = y; row < Math.min(y + height, picture.height); row++) {
+    for (let col = x; col < Math.min(x + width, picture.width); col++) {
+      picture.y[row * picture.width + col] = luma;
+    }
+  }
+
+  if (!chroma) return;
+
+  const chromaWidth = picture.width / 2;
+  for (let row = Math.floor(y / 2); row < (y + height) / 2; row++) {
+    for (let col = Math.floor(x / 2); col < (x + width) / 2; col++) {
+      picture.u[row * chromaWidth + col] = chroma[0];
+      picture.v[row * chromaWidth + col] = chroma[1];
+    }
+  }
+};
+
+const drawText = (picture, text, { x, y, scale, luma }) => {
+  String(text)
+    .split("")
+    .forEach((char, index) => {
+      (FONT[char] || []).forEach((line, row) => {
+        line.split("").forEach((pixel, col) => {
+          if (pixel === "1") {
+            fillRect(picture, {
+              x: x + (index * 4 + col) * scale,
+              y: y + row * scale,
+              width: scale,
+              height: scale,
+              luma,
+              chroma: [NEUTRAL_CHROMA, NEUTRAL_CHROMA],
+            });
+          }
+        });
+      });
+    });
+};
+
+/**
+ * @param {number} index segment number, printed on the picture
+ * @param {number} progress 0-1, position of the segment in the stream
+ * @param {string} kind content, ad or offline (see ./schedule.js)
+ */
+const createPicture = ({
+  width,
+  height,
+  index,
+  progress = 0,
+  kind = SEGMENT_KINDS.CONTENT,
+}) => {
+  const [bgY, bgU, bgV] =
+    {
+      [SEGMENT_KINDS.AD]: AD_BACKGROUND,
+      [SEGMENT_KINDS.OFFLINE]: OFFLINE_BACKGROUND,
+    }[kind] || PALETTE[index % PALETTE.length];
+  const picture = {
+    width,
+    height,
+    y: new Uint8Array(width * height).fill(bgY),
+    u: new Uint8Array((width / 2) * (height / 2)).fill(bgU),
+    v: new Uint8Array((width / 2) * (height / 2)).fill(bgV),
+  };
+
+  if (kind === SEGMENT_KINDS.OFFLINE) {
+    return picture;
+  }
+
+  const textLuma = bgY > 128 ? BLACK : WHITE;
+  const scale = Math.max(2, Math.floor(height / 20));
+  const text = kind === SEGMENT_KINDS.AD ? `AD ${index}` : String(index);
+
+  drawText(picture, text, {
+    x: Math.floor((width - text.length * 4 * scale) / 2),
+    y: Math.floor((height - 5 * scale) / 2),
+    scale,
+    luma: textLuma,
+  });
+
+  const barHeight = Math.max(2, Math.floor(height / 30)) * 2;
+  fillRect(picture, {
+    x: 0,
+    y: height - barHeight,
+    width: Math.max(2, Math.round(width * progress)),
+    height: barHeight,
+    luma: textLuma,
+    chroma: [NEUTRAL_CHROMA, NEUTRAL_CHROMA],
+  });
+
+  return picture;
+};
+
+module.exports = { createPicture };
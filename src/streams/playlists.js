@@ -0,0 +1,252 @@
+const { SEGMENT_KINDS } = require("./schedule");
+
+// HLS playlists & DASH manifests for the generated streams.
+// Segments are numbered from the unix epoch, so segment n of a live stream
+// covers [n * segmentDuration, (n + 1) * segmentDuration[ seconds.
+
+const MODES = {
+  VOD: "vod",
+  LIVE: "live",
+  EVENT: "event",
+};
+
+const seconds = (value) => `PT${value}S`;
+
+const renderMasterPlaylist = ({ stream, query = "" }) =>
+  [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    `#EXT-X-STREAM-INF:BANDWIDTH=${stream.bandwidth},CODECS="${
+      stream.codecs
+    }",RESOLUTION=${stream.width}x${
+      stream.height
+    },FRAME-RATE=${stream.frameRate.toFixed(3)}`,
+    `media.m3u8${query}`,
+    "",
+  ].join("\n");
+
+const programDateTime = (index, { segmentDuration }) =>
+  new Date(index * segmentDuration * 1000).toISOString();
+
+const isAd = (schedule, index) =>
+  schedule.getSegmentKind(index) === SEGMENT_KINDS.AD;
+
+// Ad break markers used by SSAI aware players
+const renderCueTags = ({ stream, schedule, index }) => {
+  if (isAd(schedule, index) && !isAd(schedule, index - 1)) {
+    let length = 1;
+    while (isAd(schedule, index + length)) length++;
+
+    return [`#EXT-X-CUE-OUT:DURATION=${length * stream.segmentDuration}`];
+  }
+
+  if (!isAd(schedule, index) && isAd(schedule, index - 1)) {
+    return ["#EXT-X-CUE-IN"];
+  }
+
+  return [];
+};
+
+/**
+ * schedule - ad breaks & offline periods, marked as discontinuities
+ * segmentQuery - appended to the segment urls, so they are generated with the
+ * same options as the playlist
+ */
+const renderMediaPlaylist = ({
+  stream,
+  firstIndex,
+  lastIndex,
+  playlistType,
+  ended,
+  schedule,
+  segmentQuery = "",
+  withProgramDateTime,
+}) => {
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    `#EXT-X-TARGETDURATION:${stream.segmentDuration}`,
+    `#EXT-X-MEDIA-SEQUENCE:${firstIndex}`,
+    `#EXT-X-DISCONTINUITY-SEQUENCE:${schedule.getDiscontinuitySequence(
+      firstIndex
+    )}`,
+    playlistType && `#EXT-X-PLAYLIST-TYPE:${playlistType}`,
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    '#EXT-X-MAP:URI="init.mp4"',
+  ].filter(Boolean);
+
+  for (let index = firstIndex; index <= lastIndex; index++) {
+    if (index > firstIndex && schedule.hasDiscontinuity(index)) {
+      lines.push("#EXT-X-DISCONTINUITY");
+    }
+    lines.push(...renderCueTags({ stream, schedule, index }));
+    if (withProgramDateTime) {
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${programDateTime(index, stream)}`);
+    }
+    lines.push(
+      `#EXTINF:${stream.segmentDuration.toFixed(3)},`,
+      `segment-${index}.m4s${segmentQuery}`
+    );
+  }
+
+  if (ended) {
+    lines.push("#EXT-X-ENDLIST");
+  }
+
+  return lines.join("\n").concat("\n");
+};
+
+/**
+ * Segment range of a stream at a given time
+ * - vod: [0, duration[ - always complete
+ * - live: the last `windowSize` segments available at `now`
+ * - event: from `start` to `now` (or `start + duration` once it is over)
+ * Times are in seconds.
+ */
+const getSegmentRange = ({
+  stream,
+  mode,
+  now,
+  duration,
+  start,
+  windowSize,
+}) => {
+  const { segmentDuration } = stream;
+  const segmentCount = Math.max(1, Math.ceil(duration / segmentDuration));
+  // the segment that is being "recorded" is not available yet
+  const lastAvailableIndex = Math.floor(now / segmentDuration) - 1;
+
+  if (mode === MODES.LIVE) {
+    return {
+      firstIndex: lastAvailableIndex - windowSize + 1,
+      lastIndex: lastAvailableIndex,
+      ended: false,
+    };
+  }
+
+  if (mode === MODES.EVENT) {
+    const firstIndex = Math.floor(start / segmentDuration);
+    const endIndex = firstIndex + segmentCount - 1;
+
+    return {
+      firstIndex,
+      lastIndex: Math.min(endIndex, lastAvailableIndex),
+      ended: lastAvailableIndex >= endIndex,
+    };
+  }
+
+  return { firstIndex: 0, lastIndex: segmentCount - 1, ended: true };
+};
+
+const renderHlsMediaPlaylist = ({
+  stream,
+  mode,
+  schedule,
+  segmentQuery,
+  ...options
+}) => {
+  const range = getSegmentRange({ stream, mode, ...options });
+
+  return renderMediaPlaylist({
+    stream,
+    ...range,
+    schedule,
+    segmentQuery,
+    playlistType: { [MODES.VOD]: "VOD", [MODES.EVENT]: "EVENT" }[mode],
+    // live & event segments are numbered from the epoch, so their index is
+    // their wall clock time
+    withProgramDateTime: mode !== MODES.VOD,
+  });
+};
+
+const attributes = (values) =>
+  Object.entries(values)
+    .map(([name, value]) => `${name}="${String(value).replace(/&/g, "&amp;")}"`)
+    .join(" ");
+
+const renderPeriod = ({ stream, segmentQuery = "" }) =>
+  [
+    `  <Period id="0" start="PT0S">`,
+    `    <AdaptationSet ${attributes({
+      contentType: "video",
+      mimeType: "video/mp4",
+      segmentAlignment: true,
+      startWithSAP: 1,
+    })}>`,
+    `      <Representation ${attributes({
+      id: "video",
+      codecs: stream.codecs,
+      width: stream.width,
+      height: stream.height,
+      frameRate: stream.frameRate,
+      bandwidth: stream.bandwidth,
+    })}>`,
+    `        <SegmentTemplate ${attributes({
+      timescale: stream.timescale,
+      duration: stream.segmentDuration * stream.timescale,
+      startNumber: 0,
+      initialization: "init.mp4",
+      media: `segment-$Number$.m4s${segmentQuery}`,
+    })}/>`,
+    "      </Representation>",
+    "    </AdaptationSet>",
+    "  </Period>",
+  ].join("\n");
+
+// DASH is supported for vod & live streams, without discontinuities
+const renderDashManifest = ({
+  stream,
+  mode,
+  now,
+  duration,
+  windowSize,
+  segmentQuery,
+  timeUrl,
+}) => {
+  const { segmentDuration } = stream;
+  const segmentCount = Math.max(1, Math.ceil(duration / segmentDuration));
+  const isLive = mode === MODES.LIVE;
+
+  const mpdAttributes = isLive
+    ? {
+        type: "dynamic",
+        availabilityStartTime: "1970-01-01T00:00:00Z",
+        publishTime: new Date(now * 1000).toISOString(),
+        minimumUpdatePeriod: seconds(segmentDuration),
+        timeShiftBufferDepth: seconds(windowSize * segmentDuration),
+        suggestedPresentationDelay: seconds(3 * segmentDuration),
+      }
+    : {
+        type: "static",
+        mediaPresentationDuration: seconds(segmentCount * segmentDuration),
+      };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD ${attributes({
+      xmlns: "urn:mpeg:dash:schema:mpd:2011",
+      profiles: "urn:mpeg:dash:profile:isoff-live:2011",
+      ...mpdAttributes,
+      minBufferTime: seconds(segmentDuration),
+    })}>`,
+    renderPeriod({ stream, segmentQuery }),
+    isLive &&
+      `  <UTCTiming ${attributes({
+        schemeIdUri: "urn:mpeg:dash:utc:http-iso:2014",
+        value: timeUrl,
+      })}/>`,
+    "</MPD>",
+    "",
+  ]
+    .filter((line) => line !== false)
+    .join("\n");
+};
+
+module.exports = {
+  MODES,
+  getSegmentRange,
+  renderMasterPlaylist,
+  renderHlsMediaPlaylist,
+  renderDashManifest,
+};
@@ -0,0 +1,105 @@
+const _ = require("lodash");
+
+// Ad breaks & offline periods of the generated streams. Both repeat from the
+// unix epoch: with adInterval=120 & adDuration=30, every 2 minutes starts with
+// a 30 seconds ad break. Offline periods take precedence over ad breaks.
+
+const SEGMENT_KINDS = {
+  CONTENT: "content",
+  AD: "ad",
+  OFFLINE: "offline",
+};
+
+// longer cycles are rejected - counting their discontinuities would take
+// too long
+const MAX_CYCLE_LENGTH = 100000; // segments
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// durations are in seconds, rounded to whole segments
+const toSegments = (duration, segmentDuration) =>
+  Math.max(0, Math.round((Number(duration) || 0) / segmentDuration));
+
+const getPeriods = ({
+  segmentDuration,
+  adInterval,
+  adDuration,
+  offlineInterval,
+  offlineDuration,
+}) =>
+  [
+    {
+      kind: SEGMENT_KINDS.OFFLINE,
+      interval: toSegments(offlineInterval, segmentDuration),
+      length: toSegments(offlineDuration, segmentDuration),
+    },
+    {
+      kind: SEGMENT_KINDS.AD,
+      interval: toSegments(adInterval, segmentDuration),
+      length: toSegments(adDuration, segmentDuration),
+    },
+  ].filter(({ interval, length }) => length > 0 && length < interval);
+
+// The schedule repeats itself every `cycleLength` segments - the least common
+// multiple of the intervals
+const getCycleLength = (params) =>
+  getPeriods(params).reduce(
+    (lcm, { interval }) => (lcm * interval) / gcd(lcm, interval),
+    1
+  );
+
+const createSchedule = (params) => {
+  const periods = getPeriods(params);
+  const cycleLength = getCycleLength(params);
+
+  if (cycleLength > MAX_CYCLE_LENGTH) {
+    throw new RangeError(
+      `The schedule repeats every ${cycleLength} segments, over ${MAX_CYCLE_LENGTH}`
+    );
+  }
+
+  const getSegmentKind = (index) => {
+    const period = periods.find(({ interval, length }) =>
+      _.inRange(mod(index, interval), length)
+    );
+    return period ? period.kind : SEGMENT_KINDS.CONTENT;
+  };
+
+  const hasDiscontinuity = (index) =>
+    index > 0 && getSegmentKind(index) !== getSegmentKind(index - 1);
+
+  // the discontinuities since the epoch are counted on a single cycle
+  const countDiscontinuities = (from, to) => {
+    let count = 0;
+    for (let index = from; index <= to; index++) {
+      if (hasDiscontinuity(index)) count++;
+    }
+    return count;
+  };
+
+  const discontinuitiesPerCycle = periods.length
+    ? countDiscontinuities(1, cycleLength)
+    : 0;
+
+  // EXT-X-DISCONTINUITY-SEQUENCE of a segment
+  const getDiscontinuitySequence = (index) => {
+    if (!periods.length) return 0;
+
+    const cycles = Math.floor(index / cycleLength);
+    return (
+      cycles * discontinuitiesPerCycle +
+      countDiscontinuities(cycles * cycleLength + 1, index)
+    );
+  };
+
+  return { getSegmentKind, hasDiscontinuity, getDiscontinuitySequence };
+};
+
+module.exports = {
+  SEGMENT_KINDS,
+  MAX_CYCLE_LENGTH,
+  getCycleLength,
+  createSchedule,
+};
@@ -1,12 +1,51 @@
 const { uniqueId } = require("lodash");
 const path = require("path");
+const fs = require("fs");
+const base64url = require("base64url");
 
 const absoluteReqBasePath = process.env.BASE_URL || "http://localhost:3000/";
+// Serve the generated streams (see ./streams) instead of the remote ones
+const useLocalStreams = process.env.USE_LOCAL_STREAMS === "true";
 
 const absoluteReqPath = (req) => {
   return req.protocol + "://" + req.get("host") + req.originalUrl;
 };
 
+const parseContext = (ctx, logError = true) => {
+  try {
+    return JSON.parse(base64url.decode(ctx));
+  } catch (error) {
+    // Choose if you want to log ctx errors
+    if (logError) {
+      console.log(error);
+    }
+    return {};
+  }
+};
+
+// Widths of the resized versions of every image key - `${key}_${width}`
+const IMAGE_WIDTHS = [320, 640, 1280];
+
+// file - relative to /public, query - see the /image route (./images)
+const imageUrl = (file, query) => {
+  const url = new URL(`image/${file}`, absoluteReqBasePath);
+
+  Object.entries(query || {})
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => url.searchParams.set(key, value));
+
+  return url.toString();
+};
+
+// The image cropped to the aspect, and its resized versions
+const resizedImageItems = ({ file, key, aspect, id }) => [
+  { src: imageUrl(file, { aspect, v: id }), key },
+  ...IMAGE_WIDTHS.map((width) => ({
+    src: imageUrl(file, { aspect, width, v: id }),
+    key: `${key}_${width}`,
+  })),
+];
+
 const renderDummyMediaGroup = (item) => {
   let channelImages = { media_group: [{ media_item: [] }] };
   if (item.channel) {
@@ -17,19 +56,25 @@ const renderDummyMediaGroup = (item) => {
       {
         type: "image",
         media_item: [
-          {
-            // size 1242x699
-            src: `${absoluteReqBasePath}images/full-16x9.png?${item.id}`,
+          // size 1242x699
+          ...resizedImageItems({
+            file: "images/full-16x9.png",
             key: "full-16x9",
-          },
-          {
-            src: `${absoluteReqBasePath}images/half-2x3.png?${item.id}`,
+            aspect: "16x9",
+            id: item.id,
+          }),
+          ...resizedImageItems({
+            file: "images/half-2x3.png",
             key: "half-2x3",
-          },
-          {
-            src: `${absoluteReqBasePath}images/third-1x1.png?${item.id}`,
+            aspect: "2x3",
+            id: item.id,
+          }),
+          ...resizedImageItems({
+            file: "images/third-1x1.png",
             key: "third-1x1",
-          },
+            aspect: "1x1",
+            id: item.id,
+          }),
           ...channelImages.media_group[0].media_item,
         ],
       },
@@ -43,14 +88,16 @@ const renderChannelMediaGroupById = (id) => {
       {
         type: "image",
         media_item: [
-          {
-            src: `${absoluteReqBasePath}images/${id}.png`,
+          ...resizedImageItems({
+            file: `images/${id}.png`,
             key: "v1",
-          },
-          {
-            src: `${absoluteReqBasePath}images/${id}-V2.png`,
+            aspect: "1x1",
+          }),
+          ...resizedImageItems({
+            file: `images/${id}-V2.png`,
             key: "v2",
-          },
+            aspect: "1x1",
+          }),
         ],
       },
     ],
@@ -94,6 +141,85 @@ const responseForOutcome = (outcome) => {
   );
 };
 
+// Sorts the ranges ([[start, end], ...] inclusive) and merges the overlapping
+// & adjacent ones
+const mergeRanges = (indices) =>
+  [...indices]
+    .sort(([a], [b]) => a - b)
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+
+      if (last && start <= last[1] + 1) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+
+      return merged;
+    }, []);
+
+// Wraps the matched ranges ([[start, end], ...] inclusive) of the value in a tag
+const highlightMatches = (value, indices, tag = "em") => {
+  let lastIndex = 0;
+  let highlighted = "";
+
+  mergeRanges(indices).forEach(([start, end]) => {
+    highlighted += `${value.slice(lastIndex, start)}<${tag}>${value.slice(
+      start,
+      end + 1
+    )}</${tag}>`;
+    lastIndex = end + 1;
+  });
+
+  return highlighted + value.slice(lastIndex);
+};
+
+const LOCAL_STREAM_FILES = {
+  hls: "master.m3u8",
+  dash: "manifest.mpd",
+  mp4: "clip.mp4", // vod only
+};
+
+// mode - vod, live or event; format - hls, dash or mp4
+// query - stream options, i.e. { dvrWindow: 300, adInterval: 120 }
+const localStreamUrl = ({ mode = "vod", format = "hls", query } = {}) => {
+  const url = new URL(
+    `streams/${mode}/${LOCAL_STREAM_FILES[format]}`,
+    absoluteReqBasePath
+  );
+
+  Object.entries(query || {}).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+
+  return url.toString();
+};
+
+const streamSrc = (remoteSrc, options) =>
+  useLocalStreams ? localStreamUrl(options) : remoteSrc;
+
+// Reads & parses the file again whenever it changes, no restart needed. The
+// fallback stands for a missing or invalid file
+const createFileLoader = (file, parse, fallback) => {
+  let cached = { mtimeMs: undefined, value: fallback };
+
+  return () => {
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs !== cached.mtimeMs) {
+        cached = { mtimeMs, value: parse(fs.readFileSync(file, "utf8")) };
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Ignoring ${file}: ${error.message}`);
+      }
+      cached = { mtimeMs: undefined, value: fallback };
+    }
+
+    return cached.value;
+  };
+};
+
 const createIdFactory = () => {
   let increment = 0;
 
@@ -105,9 +231,15 @@ const createIdFactory = () => {
 
 module.exports.absoluteReqPath = absoluteReqPath;
 module.exports.absoluteReqBasePath = absoluteReqBasePath;
+module.exports.imageUrl = imageUrl;
 module.exports.renderDummyMediaGroup = renderDummyMediaGroup;
 module.exports.renderChannelMediaGroupById = renderChannelMediaGroupById;
 module.exports.wrapEntryInFeed = wrapEntryInFeed;
 module.exports.createEntriesWithoutStream = createEntriesWithoutStream;
 module.exports.responseForOutcome = responseForOutcome;
 module.exports.createIdFactory = createIdFactory;
+module.exports.createFileLoader = createFileLoader;
+module.exports.highlightMatches = highlightMatches;
+module.exports.parseContext = parseContext;
+module.exports.localStreamUrl = localStreamUrl;
+module.exports.streamSrc = streamSrc;
@@ -0,0 +1,128 @@
+const Ajv = require("ajv");
+const bodyParser = require("body-parser");
+const jsonParser = bodyParser.json({ limit: "5mb" });
+
+const { entrySchema, feedSchema } = require("./schema");
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+ajv.addSchema(entrySchema);
+const validate = ajv.compile(feedSchema);
+
+const MODES = {
+  ANNOTATE: "annotate",
+  REJECT: "reject",
+};
+
+// `?validate=true` annotates, `?validate=reject` rejects.
+// PIPES2_VALIDATE=annotate|reject turns it on for every request.
+const getValidationMode = (req) => {
+  const { validate: queryMode } = req.query;
+
+  if (queryMode === "true" || queryMode === MODES.ANNOTATE) {
+    return MODES.ANNOTATE;
+  }
+
+  if (queryMode === MODES.REJECT) {
+    return MODES.REJECT;
+  }
+
+  if (queryMode === "false") {
+    return undefined;
+  }
+
+  return Object.values(MODES).find((mode) => mode === process.env.PIPES2_VALIDATE);
+};
+
+const validateFeed = (feed) => {
+  if (validate(feed)) {
+    return [];
+  }
+
+  return validate.errors.map(({ instancePath, message, params }) => ({
+    path: instancePath || "/",
+    message,
+    params,
+  }));
+};
+
+const isPipes2Response = (res, body) =>
+  String(res.get("content-type")).includes("pipes2") ||
+  (body !== null && typeof body === "object" && "entry" in body);
+
+const validationMiddleware = (req, res, next) => {
+  const mode = getValidationMode(req);
+
+  if (!mode) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 || !isPipes2Response(res, body)) {
+      return json(body);
+    }
+
+    // validate what actually goes on the wire (i.e. lodash chains, DateTime objects...)
+    const feed = JSON.parse(JSON.stringify(body));
+    const violations = validateFeed(feed);
+    res.setHeader("X-Pipes2-Violations", violations.length);
+
+    if (violations.length === 0) {
+      return json(feed);
+    }
+
+    if (mode === MODES.REJECT) {
+      res.status(500);
+      return json({ error: "Invalid Pipes2 feed", violations });
+    }
+
+    return json({
+      ...feed,
+      extensions: {
+        ...(typeof feed.extensions === "object" ? feed.extensions : {}),
+        pipes2Violations: violations,
+      },
+    });
+  };
+
+  next();
+};
+
+module.exports.setup = (app) => {
+  /**
+   * @swagger
+   * /validate:
+   *   post:
+   *     description: |
+   *        Validates the request body against the Pipes2 feed schema
+   *        and returns the list of violations.
+   *
+   *        Any other endpoint can be validated on the fly by adding `validate=true` (annotates
+   *        the feed `extensions.pipes2Violations`) or `validate=reject` (responds with 500)
+   *        to its query, or for all requests with the `PIPES2_VALIDATE` env variable.
+   *
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *
+   *     responses:
+   *       200:
+   *         description: "{ valid: boolean, violations: [{ path, message, params }] }"
+   *
+   */
+  app.post("/validate", jsonParser, (req, res) => {
+    const violations = validateFeed(req.body);
+
+    res.json({
+      valid: violations.length === 0,
+      violations,
+    });
+  });
+};
+
+module.exports.validateFeed = validateFeed;
+module.exports.validationMiddleware = validationMiddleware;
@@ -0,0 +1,87 @@
+// JSON Schema for the Pipes2 feed / entry structure.
+// See https://docs.applicaster.com/integrations/pipes2-endpoint-implementation-guide
+
+const typeSchema = {
+  type: "object",
+  required: ["value"],
+  properties: {
+    value: { type: "string", minLength: 1 },
+  },
+};
+
+const linkSchema = {
+  type: "object",
+  required: ["href"],
+  properties: {
+    href: { type: "string" },
+    type: { type: "string" },
+    rel: { type: "string" },
+  },
+};
+
+const contentSchema = {
+  type: "object",
+  properties: {
+    src: { type: "string" },
+    type: { type: "string" },
+  },
+};
+
+const mediaItemSchema = {
+  type: "object",
+  required: ["src", "key"],
+  properties: {
+    src: { type: "string" },
+    key: { type: "string", minLength: 1 },
+    type: { type: "string" },
+  },
+};
+
+const mediaGroupSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["type", "media_item"],
+    properties: {
+      type: { type: "string" },
+      media_item: { type: "array", items: mediaItemSchema },
+    },
+  },
+};
+
+const entrySchema = {
+  $id: "pipes2-entry",
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: ["string", "number"] },
+    title: { type: "string" },
+    summary: { type: "string" },
+    type: typeSchema,
+    content: contentSchema,
+    link: linkSchema,
+    media_group: mediaGroupSchema,
+    extensions: { type: "object" },
+    // feeds of feeds - the nested entries are validated as entries too
+    entry: { type: "array", items: { $ref: "pipes2-entry" } },
+  },
+};
+
+const feedSchema = {
+  $id: "pipes2-feed",
+  type: "object",
+  required: ["id", "entry"],
+  properties: {
+    id: { type: ["string", "number"] },
+    title: { type: "string" },
+    summary: { type: "string" },
+    type: typeSchema,
+    next: { type: "string" },
+    previous: { type: "string" },
+    media_group: mediaGroupSchema,
+    extensions: { type: "object" },
+    entry: { type: "array", items: { $ref: "pipes2-entry" } },
+  },
+};
+
+module.exports = { entrySchema, feedSchema };
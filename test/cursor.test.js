@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  encodeCursor,
+  decodeCursor,
+  paginateWithCursor,
+} = require("../src/cursor");
+
+const items = ["a", "b", "c", "d", "e"].map((id) => ({ id }));
+const getKey = (item) => item.id;
+const ids = (page) => page.items.map(getKey);
+
+test("decodes the cursors it encodes", () => {
+  const data = { after: "show-1", position: 19 };
+
+  assert.deepEqual(decodeCursor(encodeCursor(data)), data);
+});
+
+test("rejects tampered & malformed cursors", () => {
+  const [, signature] = encodeCursor({ after: "a" }).split(".");
+  const forgedPayload = Buffer.from(JSON.stringify({ after: "z" })).toString(
+    "base64url"
+  );
+
+  assert.equal(decodeCursor(`${forgedPayload}.${signature}`), null);
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(""), null);
+  assert.equal(decodeCursor(undefined), null);
+});
+
+test("pages forward & backward", () => {
+  const first = paginateWithCursor({ items, perPage: 2, getKey });
+  assert.deepEqual(ids(first), ["a", "b"]);
+  assert.equal(first.previousCursor, undefined);
+
+  const second = paginateWithCursor({
+    items,
+    perPage: 2,
+    getKey,
+    cursor: decodeCursor(first.nextCursor),
+  });
+  assert.deepEqual(ids(second), ["c", "d"]);
+
+  const last = paginateWithCursor({
+    items,
+    perPage: 2,
+    getKey,
+    cursor: decodeCursor(second.nextCursor),
+  });
+  assert.deepEqual(ids(last), ["e"]);
+  assert.equal(last.nextCursor, undefined);
+
+  const previous = paginateWithCursor({
+    items,
+    perPage: 2,
+    getKey,
+    cursor: decodeCursor(last.previousCursor),
+  });
+  assert.deepEqual(ids(previous), ["c", "d"]);
+});
+
+test("keeps its place when items are added before the boundary", () => {
+  const first = paginateWithCursor({ items, perPage: 2, getKey });
+  const next = paginateWithCursor({
+    items: [{ id: "new" }, ...items],
+    perPage: 2,
+    getKey,
+    cursor: decodeCursor(first.nextCursor),
+  });
+
+  assert.deepEqual(ids(next), ["c", "d"]);
+});
+
+test("falls back to the position when the boundary item is gone", () => {
+  const first = paginateWithCursor({ items, perPage: 2, getKey });
+  const next = paginateWithCursor({
+    items: items.filter(({ id }) => id !== "b"),
+    perPage: 2,
+    getKey,
+    cursor: decodeCursor(first.nextCursor),
+  });
+
+  assert.deepEqual(ids(next), ["c", "d"]);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const _ = require("lodash");
+
+const { createRandom } = require("../../src/epg/random");
+
+const sequence = (random, length = 20) => _.times(length, random.next);
+
+test("gives the same sequence for the same keys", () => {
+  assert.deepEqual(
+    sequence(createRandom("default", "channel-1", "2020-01-01")),
+    sequence(createRandom("default", "channel-1", "2020-01-01"))
+  );
+});
+
+test("gives different sequences for other keys", () => {
+  const reference = sequence(
+    createRandom("default", "channel-1", "2020-01-01")
+  );
+
+  assert.notDeepEqual(
+    sequence(createRandom("other", "channel-1", "2020-01-01")),
+    reference
+  );
+  assert.notDeepEqual(
+    sequence(createRandom("default", "channel-2", "2020-01-01")),
+    reference
+  );
+  assert.notDeepEqual(
+    sequence(createRandom("default", "channel-1", "2020-01-02")),
+    reference
+  );
+});
+
+test("returns numbers in [0, 1)", () => {
+  const values = sequence(createRandom("range"), 1000);
+
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+  // spread over the range
+  assert.ok(_.min(values) < 0.1 && _.max(values) > 0.9);
+});
+
+test("returns integers in [min, max], bounds included", () => {
+  const random = createRandom("integer");
+  const values = _.times(1000, () => random.integer(2, 5));
+
+  assert.ok(values.every(Number.isInteger));
+  assert.deepEqual(_.sortBy(_.uniq(values)), [2, 3, 4, 5]);
+});
+
+test("picks items of the list", () => {
+  const random = createRandom("pick");
+  const items = ["news", "sports", "kids"];
+  const picks = _.times(300, () => random.pick(items));
+
+  assert.deepEqual(_.sortBy(_.uniq(picks)), _.sortBy(items));
+});
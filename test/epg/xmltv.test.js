@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const R = require("ramda");
+
+const { parseXmltv, renderXmltv } = require("../../src/epg/xmltv");
+
+const XMLTV = `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <channel id="bbc1.uk">
+    <display-name lang="en">BBC One</display-name>
+    <icon src="https://example.com/bbc1.png"/>
+  </channel>
+  <channel id="news">
+    <display-name>News &amp; Weather</display-name>
+  </channel>
+  <programme start="20200101120000 +0200" stop="20200101130000 +0200" channel="bbc1.uk">
+    <title lang="en">Doctor Who</title>
+    <desc lang="en">The Doctor &lt;returns&gt;</desc>
+    <credits>
+      <presenter>Jane Doe</presenter>
+      <actor>John Smith</actor>
+    </credits>
+    <category lang="en">Drama</category>
+    <category lang="en">Sci-Fi</category>
+    <icon src="https://example.com/who.png"/>
+    <episode-num system="xmltv_ns">3.4.</episode-num>
+    <episode-num system="onscreen">S4E5</episode-num>
+    <previously-shown/>
+    <rating system="VCHIP"><value>TV-PG</value></rating>
+  </programme>
+  <programme start="20200101080000 +0000" stop="20200101090000 +0000" channel="bbc1.uk">
+    <title>Breakfast</title>
+    <live/>
+    <premiere/>
+  </programme>
+  <programme start="20200101100000" stop="20200101103000" channel="news">
+    <title>Headlines</title>
+    <episode-num system="xmltv_ns">2..</episode-num>
+  </programme>
+  <programme start="not a date" stop="20200101103000" channel="news">
+    <title>Broken</title>
+  </programme>
+</tv>`;
+
+// DateTime objects are compared by their ISO string
+const serialize = R.map(
+  R.map((program) => ({
+    ...program,
+    start_time: program.start_time.toISO(),
+    end_time: program.end_time.toISO(),
+  }))
+);
+
+test("parses the channels", () => {
+  const { channels } = parseXmltv(XMLTV);
+
+  assert.deepEqual(channels, [
+    {
+      id: "bbc1.uk",
+      title: "BBC One",
+      img: "https://example.com/bbc1.png",
+      country: "UK",
+      imported: true,
+    },
+    {
+      id: "news",
+      title: "News & Weather",
+      img: undefined,
+      country: undefined,
+      imported: true,
+    },
+  ]);
+});
+
+test("parses the programs by channel, sorted by start time in UTC", () => {
+  const { programs } = parseXmltv(XMLTV);
+  const [breakfast, doctorWho] = programs["bbc1.uk"];
+
+  assert.deepEqual(R.keys(programs), ["bbc1.uk", "news"]);
+  assert.equal(breakfast.title, "Breakfast");
+  assert.equal(doctorWho.start_time.toISO(), "2020-01-01T10:00:00.000Z");
+  assert.equal(doctorWho.end_time.toISO(), "2020-01-01T11:00:00.000Z");
+  // without an offset, the dates are UTC
+  assert.equal(programs.news[0].start_time.toISO(), "2020-01-01T10:00:00.000Z");
+});
+
+test("parses the program metadata", () => {
+  const { programs } = parseXmltv(XMLTV);
+  const [breakfast, doctorWho] = programs["bbc1.uk"];
+
+  assert.deepEqual(R.omit(["start_time", "end_time"], doctorWho), {
+    title: "Doctor Who",
+    summary: { message: "The Doctor <returns>", params: {} },
+    genre: "Drama",
+    seasonNumber: 4,
+    episodeNumber: 5,
+    parentalRating: "TV-PG",
+    isLive: false,
+    isPremiere: false,
+    isRerun: true,
+    cast: ["Jane Doe", "John Smith"],
+    categories: ["Drama", "Sci-Fi"],
+    img: "https://example.com/who.png",
+  });
+  assert.equal(breakfast.isLive, true);
+  assert.equal(breakfast.isPremiere, true);
+  assert.equal(breakfast.seasonNumber, undefined);
+  assert.equal(breakfast.episodeNumber, undefined);
+  // a season without episode number
+  assert.equal(programs.news[0].seasonNumber, 3);
+  assert.equal(programs.news[0].episodeNumber, undefined);
+});
+
+test("drops the programs with invalid dates", () => {
+  const { programs } = parseXmltv(XMLTV);
+
+  assert.deepEqual(R.map(R.prop("title"), programs.news), ["Headlines"]);
+});
+
+test("returns an empty schedule for a file without channels", () => {
+  assert.deepEqual(parseXmltv("<tv></tv>"), { channels: [], programs: {} });
+});
+
+test("parses back the schedule it renders", () => {
+  const { channels, programs } = parseXmltv(XMLTV);
+  const xml = renderXmltv(
+    channels.map(({ id, title, img }) => ({
+      id,
+      title,
+      iconUrl: img,
+      programs: programs[id],
+    }))
+  );
+  const parsed = parseXmltv(xml);
+
+  assert.deepEqual(parsed.channels, channels);
+  assert.deepEqual(serialize(parsed.programs), serialize(programs));
+});
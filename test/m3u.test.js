@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// the files are resolved when the modules load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "m3u-test-"));
+const playlistFile = path.join(tmpDir, "channels.m3u");
+process.env.M3U_FILE = playlistFile;
+process.env.XMLTV_FILE = path.join(tmpDir, "xmltv.xml");
+
+const { parseM3u, setup } = require("../src/m3u");
+const { channels } = require("../src/epg/channels");
+
+const PLAYLIST = [
+  "#EXTM3U",
+  '#EXTINF:-1 tvg-id="bbc1.uk" tvg-name="BBC One HD" tvg-logo="https://example.com/bbc1.png" group-title="News;UK",BBC One, London',
+  "https://example.com/bbc1/master.m3u8?token=1",
+  "#EXTINF:-1,ARTE_1",
+  "#EXTGRP:Culture",
+  "https://example.com/arte/manifest.mpd",
+  '#EXTINF:-1 tvg-name="ABC_2" group-title="Entertainment, Kids;News",Abc',
+  "https://example.com/abc/clip.MP4",
+  "#EXTINF:-1",
+  "https://example.com/untitled",
+  "https://example.com/without-extinf.m3u8",
+].join("\r\n");
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test("parses the channels of the playlist", () => {
+  assert.deepEqual(parseM3u(PLAYLIST), [
+    {
+      title: "BBC One, London",
+      src: "https://example.com/bbc1/master.m3u8?token=1",
+      tvgId: "bbc1.uk",
+      tvgName: "BBC One HD",
+      tvgLogo: "https://example.com/bbc1.png",
+      groups: ["News", "UK"],
+    },
+    {
+      title: "ARTE_1",
+      src: "https://example.com/arte/manifest.mpd",
+      tvgId: undefined,
+      tvgName: undefined,
+      tvgLogo: undefined,
+      groups: ["Culture"],
+    },
+    {
+      title: "Abc",
+      src: "https://example.com/abc/clip.MP4",
+      tvgId: undefined,
+      tvgName: "ABC_2",
+      tvgLogo: undefined,
+      // commas in quotes are part of the attribute
+      groups: ["Entertainment, Kids", "News"],
+    },
+    {
+      title: "https://example.com/untitled",
+      src: "https://example.com/untitled",
+      tvgId: undefined,
+      tvgName: undefined,
+      tvgLogo: undefined,
+      groups: ["Other"],
+    },
+  ]);
+});
+
+test("parses an empty playlist", () => {
+  assert.deepEqual(parseM3u(""), []);
+  assert.deepEqual(parseM3u("#EXTM3U\n"), []);
+});
+
+const getLiveChannels = (query) => {
+  let handler;
+  setup({
+    get: (routePath, routeHandler) => {
+      handler = routeHandler;
+    },
+  });
+
+  const res = {
+    statusCode: 200,
+    setHeader: () => {},
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  handler(
+    {
+      query,
+      protocol: "http",
+      originalUrl: "/live/channels",
+      get: () => "localhost:3000",
+    },
+    res
+  );
+
+  return res;
+};
+
+test("serves the channels of a group, linked to their EPG channel", () => {
+  fs.writeFileSync(playlistFile, PLAYLIST);
+  const channelId = (title) =>
+    channels.find((channel) => channel.title === title).id;
+
+  const { body } = getLiveChannels({ group: "News" });
+
+  assert.deepEqual(
+    body.entry.map(({ title, content, extensions }) => [
+      title,
+      content.type,
+      extensions.channel_id,
+    ]),
+    [
+      // no EPG channel with that tvg-id
+      ["BBC One, London", "video/hls", undefined],
+      // by its tvg-name
+      ["Abc", "video/mp4", channelId("Abc_2")],
+    ]
+  );
+
+  const culture = getLiveChannels({ group: "Culture" }).body.entry;
+  // by its title, case insensitive
+  assert.deepEqual(
+    culture.map(({ content, extensions }) => [
+      content.type,
+      extensions.channel_id,
+    ]),
+    [["video/dash", channelId("Arte_1")]]
+  );
+});
+
+test("serves the groups, and 404 for unknown groups", () => {
+  fs.writeFileSync(playlistFile, PLAYLIST);
+
+  const { body } = getLiveChannels({});
+  assert.deepEqual(
+    body.entry.map(({ title, extensions }) => [title, extensions.count]),
+    [
+      ["News", 2],
+      ["UK", 1],
+      ["Culture", 1],
+      ["Entertainment, Kids", 1],
+      ["Other", 1],
+    ]
+  );
+
+  assert.equal(getLiveChannels({ group: "Sports" }).statusCode, 404);
+});
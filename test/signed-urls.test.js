@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+
+const {
+  STREAM_URL_TTL,
+  STREAM_URL_CLOCK_SKEW,
+  signStreamUrl,
+  verifyStreamUrl,
+} = require("../src/signed-urls");
+
+const baseUrl = "http://localhost:3000/";
+const now = DateTime.fromISO("2020-01-01T00:00:00Z");
+
+const sign = (options) => {
+  const { url, expires } = signStreamUrl({
+    baseUrl,
+    entryId: "show-1",
+    now,
+    ...options,
+  });
+  const { pathname, searchParams } = new URL(url);
+
+  return {
+    pathname,
+    expires,
+    params: {
+      entryId: "show-1",
+      expires: searchParams.get("expires"),
+      token: searchParams.get("token"),
+    },
+  };
+};
+
+test("signs the url of the entry, expiring after the ttl", () => {
+  const { pathname, expires, params } = sign();
+
+  assert.equal(pathname, "/secure-stream/show-1");
+  assert.equal(expires, now.toSeconds() + STREAM_URL_TTL);
+  assert.equal(params.expires, String(expires));
+});
+
+test("accepts the url until it expires, with the clock skew", () => {
+  const { params } = sign({ ttl: 60 });
+  const at = (seconds) => ({ ...params, now: now.plus({ seconds }) });
+
+  assert.equal(verifyStreamUrl(at(0)), undefined);
+  assert.equal(verifyStreamUrl(at(60 + STREAM_URL_CLOCK_SKEW)), undefined);
+  assert.equal(verifyStreamUrl(at(60 + STREAM_URL_CLOCK_SKEW + 1)), "expired");
+});
+
+test("expires right away with a negative ttl", () => {
+  const { params } = sign({ ttl: -(STREAM_URL_CLOCK_SKEW + 1) });
+
+  assert.equal(verifyStreamUrl({ ...params, now }), "expired");
+});
+
+test("rejects urls that weren't signed for the entry & expiry", () => {
+  const { params } = sign();
+
+  assert.equal(
+    verifyStreamUrl({ ...params, entryId: "show-2", now }),
+    "invalid_signature"
+  );
+  assert.equal(
+    verifyStreamUrl({ ...params, expires: Number(params.expires) + 1, now }),
+    "invalid_signature"
+  );
+  assert.equal(
+    verifyStreamUrl({ ...params, token: "forged", now }),
+    "invalid_signature"
+  );
+  assert.equal(
+    verifyStreamUrl({ ...params, token: undefined, now }),
+    "invalid_signature"
+  );
+});
+
+test("rejects expiries that aren't numbers, even when signed", () => {
+  const { params } = sign({ ttl: "forever" });
+
+  assert.equal(params.expires, "NaN");
+  assert.equal(verifyStreamUrl({ ...params, now }), "invalid_signature");
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const _ = require("lodash");
+
+const {
+  SEGMENT_KINDS,
+  MAX_CYCLE_LENGTH,
+  getCycleLength,
+  createSchedule,
+} = require("../../src/streams/schedule");
+
+const { CONTENT, AD, OFFLINE } = SEGMENT_KINDS;
+
+const kinds = (schedule, from, to) =>
+  _.range(from, to).map(schedule.getSegmentKind);
+
+test("is all content without ad breaks & offline periods", () => {
+  const schedule = createSchedule({ segmentDuration: 4 });
+
+  assert.deepEqual(_.uniq(kinds(schedule, 0, 100)), [CONTENT]);
+  assert.equal(schedule.getDiscontinuitySequence(100), 0);
+});
+
+test("starts every interval with an ad break", () => {
+  // 3 ad segments every 10 segments
+  const schedule = createSchedule({
+    segmentDuration: 4,
+    adInterval: 40,
+    adDuration: 12,
+  });
+
+  assert.deepEqual(kinds(schedule, 0, 11), [
+    ...Array(3).fill(AD),
+    ...Array(7).fill(CONTENT),
+    AD,
+  ]);
+  assert.equal(schedule.hasDiscontinuity(0), false);
+  assert.equal(schedule.hasDiscontinuity(3), true);
+  assert.equal(schedule.hasDiscontinuity(4), false);
+  assert.equal(schedule.hasDiscontinuity(10), true);
+});
+
+test("rounds the durations to whole segments", () => {
+  const schedule = createSchedule({
+    segmentDuration: 4,
+    adInterval: 41,
+    adDuration: 11,
+  });
+
+  assert.deepEqual(kinds(schedule, 0, 4), [AD, AD, AD, CONTENT]);
+  assert.equal(schedule.getSegmentKind(10), AD);
+});
+
+test("ignores the periods that don't fit their interval", () => {
+  const schedule = createSchedule({
+    segmentDuration: 4,
+    adInterval: 40,
+    adDuration: 40,
+    offlineInterval: 40,
+    offlineDuration: 0,
+  });
+
+  assert.deepEqual(_.uniq(kinds(schedule, 0, 100)), [CONTENT]);
+});
+
+test("takes offline periods over ad breaks", () => {
+  const schedule = createSchedule({
+    segmentDuration: 4,
+    adInterval: 40,
+    adDuration: 12,
+    offlineInterval: 100,
+    offlineDuration: 8,
+  });
+
+  assert.deepEqual(kinds(schedule, 0, 4), [OFFLINE, OFFLINE, AD, CONTENT]);
+  assert.deepEqual(kinds(schedule, 10, 13), [AD, AD, AD]);
+});
+
+test("counts the discontinuities since the epoch", () => {
+  const params = {
+    segmentDuration: 2,
+    adInterval: 14,
+    adDuration: 4,
+    offlineInterval: 22,
+    offlineDuration: 6,
+  };
+  const schedule = createSchedule(params);
+  const cycleLength = getCycleLength(params);
+
+  assert.equal(cycleLength, 77);
+
+  // over several cycles, against counting every segment
+  let expected = 0;
+  _.range(0, cycleLength * 3 + 5).forEach((index) => {
+    if (schedule.hasDiscontinuity(index)) expected++;
+    assert.equal(schedule.getDiscontinuitySequence(index), expected);
+  });
+});
+
+test("rejects the schedules that repeat over the max cycle length", () => {
+  const params = {
+    segmentDuration: 4,
+    adInterval: 2004,
+    adDuration: 30,
+    offlineInterval: 2012,
+    offlineDuration: 60,
+  };
+
+  assert.ok(getCycleLength(params) > MAX_CYCLE_LENGTH);
+  assert.throws(() => createSchedule(params), RangeError);
+  assert.ok(
+    getCycleLength({ ...params, segmentDuration: 8 }) <= MAX_CYCLE_LENGTH
+  );
+});
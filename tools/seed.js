@@ -28,6 +28,12 @@ const genres = [
   "genre-10",
 ];
 const channels = ["channel-1", "channel-2", "channel-3", "channel-4"];
+const tvodPrice = 3.99;
+// Channels only licensed in some regions
+const channelGeo = {
+  "channel-3": { allowedCountries: ["US", "UK"] },
+  "channel-4": { allowedCountries: ["FR", "DE"] },
+};
 const sampleHls =
   "https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8";
 
@@ -40,17 +46,55 @@ const shows = _.times(totalShows).map((index) => {
     channel: channels[index % channels.length],
     summary: `This is the summary of show ${counter}. Here will be a short description of the show. You can configure the number of shown lines in the cell style.`,
     type: "show",
+    // Every fifth show is blocked in France & Germany
+    ...(index % 5 === 4 && { geo: { blockedCountries: ["FR", "DE"] } }),
+    // Every seventh show leaves the catalog next week
+    ...(index % 7 === 6 && { availability: { to: { days: 12 } } }),
   };
 });
 
+// Every third movie is free, the others are either for subscribers or for purchase (TVOD)
+const movieEntitlement = (index, id) => {
+  if (index % 3 === 1) return { type: "subscriber" };
+  if (index % 3 === 2)
+    return { type: "tvod", productId: `tvod-${id}`, price: tvodPrice };
+  return { type: "free" };
+};
+
+// Geo restrictions of the movies, availability windows are relative to the start of the week
+const movieGeo = (index) => {
+  if (index % 5 === 4) return { allowedCountries: ["US"] };
+  if (index % 5 === 2) return { blockedCountries: ["DE"] };
+  if (index % 5 === 1)
+    return {
+      availability: {
+        FR: { from: { days: 3 } },
+        UK: { to: { days: 1 } },
+      },
+    };
+};
+
+// Availability windows of the movies - offsets from the start of the week
+const movieAvailability = (index) =>
+  ({
+    0: { from: { weeks: -1 }, to: { weeks: 5 } },
+    3: { to: { days: 8 } }, // leaving soon
+    6: { from: { weeks: 1 } }, // released next week
+    8: { from: { weeks: -4 }, to: { days: -1 } }, // expired
+  }[index % 10]);
+
 const movies = _.times(totalMovies).map((index) => {
   const counter = index + 1;
+  const id = `${moviePrefix}-${counter}`;
   return {
-    id: `${moviePrefix}-${counter}`,
+    id,
     title: `Movie ${counter} Title`,
     genre: genres[index % genres.length],
     type: "movie",
     summary: `This is the summary of movie ${counter}. Here will be a short description of the show. You can configure the number of shown lines in the cell style.`,
+    entitlement: movieEntitlement(index, id),
+    ...(movieGeo(index) && { geo: movieGeo(index) }),
+    ...(movieAvailability(index) && { availability: movieAvailability(index) }),
   };
 });
 
@@ -78,6 +122,7 @@ const createShowSeasons = (show) =>
       seasonNumber: counter,
       type: "season",
       showId,
+      ...(show.geo && { geo: show.geo }),
     };
   });
 
@@ -102,6 +147,9 @@ const createSeasonsEpisodes = (season) =>
       genre: SeasonShow.genre,
       channel: SeasonShow.channel,
       streamURL: sampleHls,
+      // The first season of every show is free to watch
+      entitlement: { type: season.seasonNumber === 1 ? "free" : "subscriber" },
+      ...(SeasonShow.geo && { geo: SeasonShow.geo }),
     };
   });
 
@@ -131,7 +179,11 @@ db.defaults({
     comingSoonShow,
     seasons,
     episodes,
-    channels.map((channelId) => ({ id: channelId, type: "channel" }))
+    channels.map((channelId) => ({
+      id: channelId,
+      type: "channel",
+      ...(channelGeo[channelId] && { geo: channelGeo[channelId] }),
+    }))
   ),
   programs,
 }).write();